@@ -1,7 +1,13 @@
-import { Outlet } from 'react-router-dom'
+import { NavLink, Outlet, matchPath, useLocation } from 'react-router-dom'
 import ApperIcon from '@/components/ApperIcon'
+import { routes, routeArray } from '@/config/routes'
 
+// Home stays mounted while another page is open, so the loaded files, their selections and the
+// settings are still there when the user comes back, and the worker's workbooks stay in use.
 const Layout = () => {
+  const { pathname } = useLocation()
+  const onHome = !routeArray.some(route => route.id !== routes.home.id && matchPath(route.path, pathname))
+
   return (
     <div className="h-screen flex flex-col overflow-hidden">
       {/* Header */}
@@ -16,9 +22,26 @@ const Layout = () => {
               <p className="text-sm text-surface-600">Excel Worksheet Separator</p>
             </div>
           </div>
-          <div className="hidden sm:block">
-            <div className="bg-surface-50 px-3 py-1 rounded-full text-sm text-surface-600">
-              v1.0.0
+          <div className="flex items-center space-x-4">
+            <nav className="flex items-center space-x-1">
+              {routeArray.map((route) => (
+                <NavLink
+                  key={route.id}
+                  to={route.path}
+                  end
+                  className={({ isActive }) => `flex items-center space-x-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    isActive ? 'bg-primary/10 text-primary' : 'text-surface-600 hover:bg-surface-50 hover:text-surface-900'
+                  }`}
+                >
+                  <ApperIcon name={route.icon} size={16} />
+                  <span className="hidden sm:inline">{route.label}</span>
+                </NavLink>
+              ))}
+            </nav>
+            <div className="hidden sm:block">
+              <div className="bg-surface-50 px-3 py-1 rounded-full text-sm text-surface-600">
+                v1.0.0
+              </div>
             </div>
           </div>
         </div>
@@ -27,7 +50,10 @@ const Layout = () => {
       {/* Main Content */}
       <main className="flex-1 overflow-y-auto bg-surface-50">
         <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-          <Outlet />
+          <div className={onHome ? '' : 'hidden'}>
+            <routes.home.component />
+          </div>
+          {!onHome && <Outlet />}
         </div>
       </main>
     </div>
@@ -0,0 +1,254 @@
+import React from "react";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import JoinOptions from "@/components/molecules/JoinOptions";
+import DedupeOptions from "@/components/molecules/DedupeOptions";
+import ProtectionOptions from "@/components/molecules/ProtectionOptions";
+import SheetNameEditor from "@/components/molecules/SheetNameEditor";
+
+const modes = [
+  { key: 'sheets', label: 'Separate tabs', description: 'Each worksheet becomes its own tab', icon: 'Layers' },
+  { key: 'append', label: 'Append rows', description: 'Stack sheets with the same columns into one table', icon: 'Rows' },
+  { key: 'join', label: 'Join on key', description: 'Enrich one sheet with columns from another', icon: 'GitMerge' }
+]
+
+const outputFormats = [
+  { key: 'xlsx', label: 'Excel Workbook (.xlsx)' },
+  { key: 'xlsm', label: 'Excel Macro-Enabled Workbook (.xlsm)' },
+  { key: 'xlsb', label: 'Excel Binary Workbook (.xlsb)' },
+  { key: 'ods', label: 'OpenDocument Spreadsheet (.ods)' },
+  { key: 'csv', label: 'CSV — one file per sheet (.zip)' },
+  { key: 'json', label: 'JSON — one document keyed by sheet (.json)' }
+]
+
+// Encryption and protection are only written for the XML Excel formats
+const protectableFormats = ['xlsx', 'xlsm']
+
+// Formats that keep cell hyperlinks, so the Index tab's links work
+const linkFormats = ['xlsx', 'xlsm', 'xlsb', 'ods']
+
+const CombineOptions = ({
+  mode = 'sheets',
+  outputFormat = 'xlsx',
+  onOutputFormatChange,
+  protection,
+  onProtectionChange,
+  addSourceColumns = false,
+  mapColumns = false,
+  alignment = null,
+  dedupe = null,
+  onDedupeChange,
+  joinSheets = [],
+  joinConfig,
+  onJoinConfigChange,
+  addIndexSheet = false,
+  onAddIndexSheetChange,
+  addBackLinks = false,
+  onAddBackLinksChange,
+  sheetNameTemplate,
+  onSheetNameTemplateChange,
+  sheetNames = [],
+  onSheetRename,
+  onSheetNameReset,
+  onModeChange,
+  onAddSourceColumnsChange,
+  onMapColumnsChange,
+  disabled = false,
+  className = ''
+}) => {
+  // Protection chosen for an xlsx file stays set when the format changes; it is not silently dropped
+  const protectionUnavailable = !protectableFormats.includes(outputFormat)
+    && (protection.password !== null || protection.lockStructure || protection.lockSheets)
+  const mismatchedSheets = alignment ? alignment.sheets.filter(sheet => sheet.missing.length > 0 || sheet.extra.length > 0) : []
+
+  return (
+    <div className={`bg-white rounded-lg border border-surface-200 p-4 space-y-4 ${className}`}>
+      <div className="flex items-center space-x-2 text-sm font-medium text-surface-900">
+        <ApperIcon name="Merge" size={16} className="text-primary" />
+        <span>Combine Options</span>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        {modes.map(option => (
+          <label
+            key={option.key}
+            className={`flex items-start space-x-3 rounded-lg border p-3 text-sm cursor-pointer transition-colors duration-200 ${
+              mode === option.key
+                ? 'border-primary bg-primary/5 text-primary'
+                : 'border-surface-200 text-surface-700 hover:border-surface-300'
+            } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            <input
+              type="radio"
+              name="combine-mode"
+              value={option.key}
+              checked={mode === option.key}
+              onChange={() => onModeChange(option.key)}
+              disabled={disabled}
+              className="sr-only"
+            />
+            <ApperIcon name={option.icon} size={16} className="flex-shrink-0 mt-0.5" />
+            <div>
+              <div className="font-medium">{option.label}</div>
+              <div className="text-xs text-surface-500 mt-1">{option.description}</div>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      {mode === 'append' && (
+        <div className="space-y-3">
+          <label className="flex items-center space-x-2 text-sm text-surface-700">
+            <input
+              type="checkbox"
+              checked={addSourceColumns}
+              onChange={(e) => onAddSourceColumnsChange(e.target.checked)}
+              disabled={disabled}
+              className="w-4 h-4 text-primary border-surface-300 rounded focus:ring-primary/20 focus:ring-2"
+            />
+            <span>Add "Source file" and "Source sheet" columns</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm text-surface-700">
+            <input
+              type="checkbox"
+              checked={mapColumns}
+              onChange={(e) => onMapColumnsChange(e.target.checked)}
+              disabled={disabled}
+              className="w-4 h-4 text-primary border-surface-300 rounded focus:ring-primary/20 focus:ring-2"
+            />
+            <span>Map columns that are named differently across files</span>
+          </label>
+          <DedupeOptions
+            options={dedupe}
+            columns={alignment ? alignment.columns : []}
+            onChange={onDedupeChange}
+            disabled={disabled}
+          />
+
+          {alignment && (
+            mismatchedSheets.length === 0 ? (
+              <div className="flex items-center space-x-2 text-sm text-green-700 bg-green-50 rounded-lg px-3 py-2">
+                <ApperIcon name="CheckCircle" size={16} className="flex-shrink-0" />
+                <span>All {alignment.sheets.length} worksheets share the same {alignment.columns.length} columns.</span>
+              </div>
+            ) : (
+              <div className="bg-warning/10 border border-warning/20 rounded-lg px-3 py-2 text-sm space-y-2">
+                <div className="flex items-center space-x-2 font-medium text-surface-900">
+                  <ApperIcon name="AlertTriangle" size={16} className="text-warning flex-shrink-0" />
+                  <span>
+                    {mismatchedSheets.length} of {alignment.sheets.length} worksheets differ from the columns of "{alignment.sheets[0].sheetName}"
+                  </span>
+                </div>
+                <ul className="space-y-1 text-surface-700">
+                  {mismatchedSheets.map(sheet => (
+                    <li key={`${sheet.fileName}-${sheet.sheetName}`}>
+                      <span className="font-medium">{sheet.fileName} › {sheet.sheetName}</span>
+                      {sheet.missing.length > 0 && <span> — missing: {sheet.missing.join(', ')}</span>}
+                      {sheet.extra.length > 0 && <span> — extra: {sheet.extra.join(', ')}</span>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )
+          )}
+        </div>
+      )}
+
+      {mode === 'join' && (
+        <JoinOptions
+          sheets={joinSheets}
+          config={joinConfig}
+          onChange={onJoinConfigChange}
+          disabled={disabled}
+        />
+      )}
+
+      {mode === 'sheets' && (
+        <div className="space-y-3">
+          <label className="flex items-center space-x-2 text-sm text-surface-700">
+            <input
+              type="checkbox"
+              checked={addIndexSheet}
+              onChange={(e) => onAddIndexSheetChange(e.target.checked)}
+              disabled={disabled}
+              className="w-4 h-4 text-primary border-surface-300 rounded focus:ring-primary/20 focus:ring-2"
+            />
+            <span>Add an "Index" tab listing every tab with its source, rows and columns</span>
+          </label>
+          {addIndexSheet && (
+            <label className="flex items-center space-x-2 pl-6 text-sm text-surface-700">
+              <input
+                type="checkbox"
+                checked={addBackLinks && linkFormats.includes(outputFormat)}
+                onChange={(e) => onAddBackLinksChange(e.target.checked)}
+                disabled={disabled || !linkFormats.includes(outputFormat)}
+                className="w-4 h-4 text-primary border-surface-300 rounded focus:ring-primary/20 focus:ring-2"
+              />
+              <span>
+                Put a "Back to index" link on each tab
+                {!linkFormats.includes(outputFormat) && <span className="text-surface-500"> — not available for {outputFormat.toUpperCase()}, which has no links</span>}
+              </span>
+            </label>
+          )}
+        </div>
+      )}
+
+      {(mode === 'sheets' || (mode === 'join' && joinConfig?.includeTabs)) && (
+        <SheetNameEditor
+          template={sheetNameTemplate}
+          onTemplateChange={onSheetNameTemplateChange}
+          entries={sheetNames}
+          onRename={onSheetRename}
+          onResetName={onSheetNameReset}
+          disabled={disabled}
+        />
+      )}
+
+      <div className="space-y-1">
+        <label htmlFor="combine-output-format" className="block text-sm font-medium text-surface-700">
+          Output format
+        </label>
+        <select
+          id="combine-output-format"
+          value={outputFormat}
+          onChange={(e) => onOutputFormatChange(e.target.value)}
+          disabled={disabled}
+          className="w-full rounded-lg border border-surface-300 px-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary"
+        >
+          {outputFormats.map(format => (
+            <option key={format.key} value={format.key}>{format.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {protectableFormats.includes(outputFormat) && (
+        <ProtectionOptions
+          options={protection}
+          onChange={onProtectionChange}
+          disabled={disabled}
+        />
+      )}
+      {protectionUnavailable && (
+        <div className="flex items-start justify-between gap-3 rounded-lg border border-warning/30 bg-warning/10 p-3 text-sm text-surface-700">
+          <div className="flex items-start space-x-2">
+            <ApperIcon name="AlertTriangle" size={16} className="text-warning flex-shrink-0 mt-0.5" />
+            <span>
+              A password or sheet protection is set, but {outputFormat.toUpperCase()} files can't have either.
+              Choose .xlsx or .xlsm to keep it, or remove it.
+            </span>
+          </div>
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onProtectionChange({ ...protection, password: null, lockStructure: false, lockSheets: false })}
+            disabled={disabled}
+          >
+            Remove
+          </Button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CombineOptions
@@ -0,0 +1,140 @@
+import React from "react";
+
+const checkboxClassName = 'w-4 h-4 text-primary border-surface-300 rounded focus:ring-primary/20 focus:ring-2'
+
+const defaultOptions = {
+  columns: [],
+  keep: 'first',
+  ignoreCase: false,
+  ignoreWhitespace: true,
+  duplicatesSheet: false
+}
+
+const DedupeOptions = ({
+  options = null,
+  columns = [],
+  onChange,
+  disabled = false,
+  className = ''
+}) => {
+  const update = (changes) => onChange({ ...options, ...changes })
+  const keyColumns = options ? options.columns.filter(name => columns.includes(name)) : []
+  const byKey = options ? options.columns.length > 0 : false
+
+  const toggleKeyColumn = (name, checked) => {
+    update({ columns: checked ? [...keyColumns, name] : keyColumns.filter(column => column !== name) })
+  }
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <label className="flex items-center space-x-2 text-sm text-surface-700">
+        <input
+          type="checkbox"
+          checked={!!options}
+          onChange={(e) => onChange(e.target.checked ? defaultOptions : null)}
+          disabled={disabled}
+          className={checkboxClassName}
+        />
+        <span>Remove duplicate rows</span>
+      </label>
+
+      {options && (
+        <div className="ml-6 space-y-3 text-sm text-surface-700">
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                name="dedupe-identity"
+                checked={!byKey}
+                onChange={() => update({ columns: [] })}
+                disabled={disabled}
+              />
+              <span>Whole row must match</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="radio"
+                name="dedupe-identity"
+                checked={byKey}
+                onChange={() => update({ columns: columns.slice(0, 1) })}
+                disabled={disabled || columns.length === 0}
+              />
+              <span>Only these key columns</span>
+            </label>
+          </div>
+
+          {byKey && (
+            <div className="flex flex-wrap gap-2">
+              {columns.map(name => (
+                <label
+                  key={name}
+                  className={`inline-flex items-center space-x-1 px-2 py-0.5 rounded-full text-xs border cursor-pointer ${
+                    keyColumns.includes(name)
+                      ? 'border-primary bg-primary/10 text-primary'
+                      : 'border-surface-200 text-surface-600'
+                  }`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={keyColumns.includes(name)}
+                    onChange={(e) => toggleKeyColumn(name, e.target.checked)}
+                    disabled={disabled}
+                    className="sr-only"
+                  />
+                  <span>{name}</span>
+                </label>
+              ))}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center space-x-2">
+              <span>Keep</span>
+              <select
+                value={options.keep}
+                onChange={(e) => update({ keep: e.target.value })}
+                disabled={disabled}
+                className="rounded-lg border border-surface-300 px-2 py-1 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary/20"
+              >
+                <option value="first">first occurrence</option>
+                <option value="last">last occurrence</option>
+              </select>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={options.ignoreCase}
+                onChange={(e) => update({ ignoreCase: e.target.checked })}
+                disabled={disabled}
+                className={checkboxClassName}
+              />
+              <span>Ignore case</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={options.ignoreWhitespace}
+                onChange={(e) => update({ ignoreWhitespace: e.target.checked })}
+                disabled={disabled}
+                className={checkboxClassName}
+              />
+              <span>Ignore extra whitespace</span>
+            </label>
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={options.duplicatesSheet}
+                onChange={(e) => update({ duplicatesSheet: e.target.checked })}
+                disabled={disabled}
+                className={checkboxClassName}
+              />
+              <span>List removed rows on a "Duplicates" sheet</span>
+            </label>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default DedupeOptions
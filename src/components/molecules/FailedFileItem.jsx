@@ -0,0 +1,101 @@
+import React, { useRef, useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { formatFileSize } from "@/utils/formatters";
+import { ACCEPTED_FILE_TYPES } from "@/utils/fileTypes";
+import { FILE_ERROR_LABELS } from "@/utils/fileErrors";
+
+const FailedFileItem = ({
+  failure,
+  onReplace,
+  onUnlock,
+  onRemove,
+  disabled = false,
+  className = ''
+}) => {
+  const inputRef = useRef(null)
+  const [password, setPassword] = useState('')
+  const { file, error } = failure
+  const locked = error.code === 'password' && !!onUnlock
+
+  const handleUnlock = (e) => {
+    e.preventDefault()
+    if (password) {
+      onUnlock(password)
+      setPassword('')
+    }
+  }
+
+  return (
+    <div className={`bg-red-50 border border-red-200 rounded-lg ${className}`}>
+      <div className="flex items-center justify-between py-2 px-3">
+        <div className="flex items-center space-x-3 flex-1 min-w-0">
+          <ApperIcon name="AlertCircle" size={16} className="text-red-500 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <div className="text-sm font-medium text-surface-900 truncate">{file.name}</div>
+            <div className="text-xs text-red-700">
+              {FILE_ERROR_LABELS[error.code] || 'Could not be loaded'} • {formatFileSize(file.size)} — {error.message}
+            </div>
+          </div>
+        </div>
+        <div className="flex items-center space-x-1 flex-shrink-0">
+          <Button
+            variant="ghost"
+            size="sm"
+            icon="RefreshCw"
+            onClick={() => inputRef.current.click()}
+            disabled={disabled}
+            className="text-red-700 hover:bg-red-100"
+          >
+            Replace
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            icon="X"
+            onClick={onRemove}
+            disabled={disabled}
+            className="text-surface-400 hover:text-surface-600"
+          />
+        </div>
+      </div>
+      {locked && (
+        <form onSubmit={handleUnlock} className="flex items-center space-x-2 px-3 pb-2 pl-10">
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password for this file"
+            autoComplete="off"
+            aria-label={`Password for ${file.name}`}
+            disabled={disabled}
+            className="flex-1 min-w-0 rounded-lg border border-red-200 bg-white px-3 py-1.5 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary"
+          />
+          <Button
+            type="submit"
+            variant="outline"
+            size="sm"
+            icon="Unlock"
+            disabled={disabled || !password}
+          >
+            Unlock
+          </Button>
+        </form>
+      )}
+      <input
+        ref={inputRef}
+        type="file"
+        accept={ACCEPTED_FILE_TYPES}
+        onChange={(e) => {
+          if (e.target.files.length > 0) {
+            onReplace(e.target.files[0])
+          }
+          e.target.value = ''
+        }}
+        className="hidden"
+      />
+    </div>
+  )
+}
+
+export default FailedFileItem
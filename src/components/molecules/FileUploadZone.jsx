@@ -2,6 +2,7 @@ import React, { useCallback, useState } from "react";
 import { motion } from "framer-motion";
 import ApperIcon from "@/components/ApperIcon";
 import Button from "@/components/atoms/Button";
+import { ACCEPTED_FILE_TYPES } from "@/utils/fileTypes";
 
 const FileUploadZone = ({ onFileSelect, disabled = false, className = '' }) => {
   const [isDragOver, setIsDragOver] = useState(false)
@@ -86,10 +87,10 @@ const FileUploadZone = ({ onFileSelect, disabled = false, className = '' }) => {
           
           <div className="space-y-2">
             <h3 className="text-lg font-medium text-surface-900">
-              {isDragOver ? 'Drop your Excel files here' : 'Upload Excel Files'}
+              {isDragOver ? 'Drop your spreadsheets here' : 'Upload Spreadsheets'}
             </h3>
 <p className="text-surface-600 max-w-sm mx-auto">
-              Drag and drop multiple Excel files (.xlsx, .xls) or click to browse. We'll combine all worksheets into one file.
+              Drag and drop multiple Excel, OpenDocument or CSV files or click to browse. We'll combine all worksheets into one file.
             </p>
           </div>
           <div className="flex flex-col sm:flex-row items-center justify-center gap-4">
@@ -106,7 +107,7 @@ const FileUploadZone = ({ onFileSelect, disabled = false, className = '' }) => {
             </Button>
             
             <div className="text-xs text-surface-500 space-y-1">
-              <div>Supported: .xlsx, .xls files</div>
+              <div>Supported: .xlsx, .xls, .xlsm, .xlsb, .ods, .csv, .tsv, .txt</div>
               <div>Multiple files allowed</div>
             </div>
           </div>
@@ -116,7 +117,7 @@ const FileUploadZone = ({ onFileSelect, disabled = false, className = '' }) => {
       <input
         id="file-input"
         type="file"
-        accept=".xlsx,.xls,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+        accept={ACCEPTED_FILE_TYPES}
         onChange={handleFileInput}
         className="hidden"
         disabled={disabled}
@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { formatFileSize } from "@/utils/formatters";
+import { JOB_STATUSES, describeJobSettings, isJobPending } from "@/utils/jobs";
+
+const formatDate = (iso) => new Intl.DateTimeFormat(undefined, { dateStyle: 'medium', timeStyle: 'short' }).format(new Date(iso))
+
+// One combine or split job: in the queue on the processing page, and in the history with its inputs
+const JobListItem = ({
+  job,
+  onCancel,
+  onDownload,
+  onDelete,
+  showInputs = false,
+  className = ''
+}) => {
+  const [expanded, setExpanded] = useState(false)
+  const status = JOB_STATUSES[job.status]
+  const sheetCount = job.inputs.reduce((total, input) => total + input.worksheets.length, 0)
+  const canDownload = job.status === 'completed' && !!onDownload
+
+  return (
+    <div className={`bg-white rounded-lg border border-surface-200 ${className}`}>
+      <div className="flex items-start gap-3 px-3 py-2">
+        <ApperIcon
+          name={job.type === 'split' ? "Split" : "Merge"}
+          size={16}
+          className="text-surface-500 flex-shrink-0 mt-0.5"
+        />
+        <div className="flex-1 min-w-0">
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-sm font-medium text-surface-900">
+              {job.type === 'split' ? 'Split' : 'Combine'} {sheetCount} {sheetCount === 1 ? 'worksheet' : 'worksheets'} from {job.inputs.length} {job.inputs.length === 1 ? 'file' : 'files'}
+            </span>
+            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs border ${status.className}`}>
+              <ApperIcon name={status.icon} size={12} className={`mr-1 ${job.status === 'running' ? 'animate-spin' : ''}`} />
+              {status.label}{job.status === 'running' ? ` ${job.progress}%` : ''}
+            </span>
+          </div>
+          <div className="text-xs text-surface-500 mt-0.5">
+            {formatDate(job.createdAt)}
+            {job.output && ` • ${job.output.fileName} (${formatFileSize(job.output.size)}${job.output.fileCount > 1 ? `, ${job.output.fileCount} files` : ''})`}
+          </div>
+          <div className="flex flex-wrap gap-1 mt-1">
+            {describeJobSettings(job.type, job.settings).map((label, index) => (
+              <span key={index} className="px-1.5 py-0.5 rounded bg-surface-100 text-xs text-surface-600">{label}</span>
+            ))}
+          </div>
+          {job.status === 'running' && (
+            <div className="mt-2 h-1.5 bg-surface-200 rounded-full overflow-hidden">
+              <div className="h-full bg-primary transition-all duration-300" style={{ width: `${job.progress}%` }} />
+            </div>
+          )}
+          {job.error && job.status !== 'completed' && (
+            <div className="text-xs text-red-700 mt-1">{job.error}</div>
+          )}
+          {job.status === 'completed' && !job.outputStored && (
+            <div className="text-xs text-warning mt-1">
+              The browser had no room to keep this output; download it before closing the page.
+            </div>
+          )}
+          {showInputs && (
+            <button
+              type="button"
+              onClick={() => setExpanded(!expanded)}
+              className="flex items-center space-x-1 text-xs font-medium text-surface-500 hover:text-primary mt-1"
+            >
+              <ApperIcon name={expanded ? "ChevronDown" : "ChevronRight"} size={12} />
+              <span>Inputs</span>
+            </button>
+          )}
+          {showInputs && expanded && (
+            <ul className="mt-1 space-y-1 text-xs text-surface-600">
+              {job.inputs.map((input, index) => (
+                <li key={index}>
+                  <span className="font-medium text-surface-700">{input.fileName}</span> ({formatFileSize(input.size)}):{' '}
+                  {input.worksheets.map(worksheet => worksheet.name).join(', ')}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div className="flex items-center space-x-1 flex-shrink-0">
+          {canDownload && (
+            <Button variant="ghost" size="sm" icon="Download" onClick={() => onDownload(job)}>
+              Download
+            </Button>
+          )}
+          {isJobPending(job) && onCancel && (
+            <Button variant="ghost" size="sm" icon="X" onClick={() => onCancel(job)}>
+              Cancel
+            </Button>
+          )}
+          {!isJobPending(job) && onDelete && (
+            <Button
+              variant="ghost"
+              size="sm"
+              icon="Trash2"
+              onClick={() => onDelete(job)}
+              className="text-surface-400 hover:text-red-600"
+            />
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default JobListItem
@@ -0,0 +1,47 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import ApperIcon from "@/components/ApperIcon";
+import JobListItem from "@/components/molecules/JobListItem";
+import { isJobPending } from "@/utils/jobs";
+
+// The jobs of this session, newest first; earlier sessions are on the History page
+const JobQueuePanel = ({
+  jobs,
+  onCancel,
+  onDownload,
+  onDelete,
+  className = ''
+}) => {
+  const pendingCount = jobs.filter(isJobPending).length
+
+  return (
+    <div className={`bg-white rounded-xl border border-surface-200 p-4 space-y-3 ${className}`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-sm font-medium text-surface-900">
+          <ApperIcon name="ListOrdered" size={16} className="text-primary" />
+          <span>Jobs</span>
+          {pendingCount > 0 && (
+            <span className="text-surface-500 font-normal">{pendingCount} still to finish</span>
+          )}
+        </div>
+        <Link to="/history" className="flex items-center space-x-1 text-sm text-primary hover:underline">
+          <ApperIcon name="History" size={14} />
+          <span>Full history</span>
+        </Link>
+      </div>
+      <div className="space-y-2">
+        {[...jobs].reverse().map(job => (
+          <JobListItem
+            key={job.Id}
+            job={job}
+            onCancel={onCancel}
+            onDownload={onDownload}
+            onDelete={onDelete}
+          />
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default JobQueuePanel
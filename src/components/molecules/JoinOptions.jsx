@@ -0,0 +1,147 @@
+import React from "react";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+
+const joinTypes = [
+  { key: 'inner', label: 'Inner join', description: 'Only rows whose key is in both sheets' },
+  { key: 'left', label: 'Left join', description: 'Every left row, with right columns where the key matches' },
+  { key: 'full', label: 'Full outer join', description: 'Every row from both sheets' }
+]
+
+const selectClassName = 'w-full rounded-lg border border-surface-300 px-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary'
+
+const JoinOptions = ({
+  sheets = [],
+  config,
+  onChange,
+  disabled = false,
+  className = ''
+}) => {
+  const leftSheet = sheets.find(sheet => sheet.id === config.leftId)
+  const rightSheet = sheets.find(sheet => sheet.id === config.rightId)
+
+  const update = (changes) => onChange({ ...config, ...changes })
+
+  const updateKey = (index, changes) => {
+    update({ keys: config.keys.map((key, i) => (i === index ? { ...key, ...changes } : key)) })
+  }
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <div className="space-y-1">
+          <label htmlFor="join-left" className="block text-sm font-medium text-surface-700">Left sheet</label>
+          <select
+            id="join-left"
+            value={config.leftId}
+            onChange={(e) => update({ leftId: e.target.value, keys: [] })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            <option value="">Choose a sheet…</option>
+            {sheets.map(sheet => (
+              <option key={sheet.id} value={sheet.id}>{sheet.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="space-y-1">
+          <label htmlFor="join-right" className="block text-sm font-medium text-surface-700">Right sheet</label>
+          <select
+            id="join-right"
+            value={config.rightId}
+            onChange={(e) => update({ rightId: e.target.value, keys: [] })}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            <option value="">Choose a sheet…</option>
+            {sheets.filter(sheet => sheet.id !== config.leftId).map(sheet => (
+              <option key={sheet.id} value={sheet.id}>{sheet.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="space-y-1">
+        <label htmlFor="join-type" className="block text-sm font-medium text-surface-700">Join type</label>
+        <select
+          id="join-type"
+          value={config.type}
+          onChange={(e) => update({ type: e.target.value })}
+          disabled={disabled}
+          className={selectClassName}
+        >
+          {joinTypes.map(type => (
+            <option key={type.key} value={type.key}>{type.label} — {type.description}</option>
+          ))}
+        </select>
+      </div>
+
+      {leftSheet && rightSheet && (
+        <div className="space-y-2">
+          <div className="text-sm font-medium text-surface-700">Key columns</div>
+          {config.keys.map((key, index) => (
+            <div key={index} className="flex items-center gap-2">
+              <select
+                value={key.left}
+                onChange={(e) => updateKey(index, { left: e.target.value })}
+                disabled={disabled}
+                className={selectClassName}
+              >
+                {leftSheet.headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+              <ApperIcon name="Equal" size={16} className="text-surface-400 flex-shrink-0" />
+              <select
+                value={key.right}
+                onChange={(e) => updateKey(index, { right: e.target.value })}
+                disabled={disabled}
+                className={selectClassName}
+              >
+                {rightSheet.headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => update({ keys: config.keys.filter((_, i) => i !== index) })}
+                disabled={disabled}
+                className="p-1.5 text-surface-400 hover:text-error flex-shrink-0"
+                title="Remove key"
+              >
+                <ApperIcon name="X" size={14} />
+              </button>
+            </div>
+          ))}
+          <Button
+            variant="ghost"
+            size="sm"
+            icon="Plus"
+            onClick={() => update({
+              keys: [...config.keys, {
+                left: leftSheet.headers[0] || '',
+                right: rightSheet.headers.includes(leftSheet.headers[0]) ? leftSheet.headers[0] : rightSheet.headers[0] || ''
+              }]
+            })}
+            disabled={disabled || leftSheet.headers.length === 0 || rightSheet.headers.length === 0}
+          >
+            Add Key Column
+          </Button>
+        </div>
+      )}
+
+      <label className="flex items-center space-x-2 text-sm text-surface-700">
+        <input
+          type="checkbox"
+          checked={config.includeTabs}
+          onChange={(e) => update({ includeTabs: e.target.checked })}
+          disabled={disabled}
+          className="w-4 h-4 text-primary border-surface-300 rounded focus:ring-primary/20 focus:ring-2"
+        />
+        <span>Also include the selected worksheets as separate tabs</span>
+      </label>
+    </div>
+  )
+}
+
+export default JoinOptions
@@ -2,18 +2,27 @@ import { motion } from "framer-motion";
 import React from "react";
 import ApperIcon from "@/components/ApperIcon";
 import ProgressBar from "@/components/atoms/ProgressBar";
+import Button from "@/components/atoms/Button";
+import { formatFileSize } from "@/utils/formatters";
 
 const ProcessingStatus = ({ 
   stage = 'idle', 
+  mode = 'combine',
   progress = 0,
   worksheetCount = 0,
   currentWorksheet = '',
+  bytesProgress = null,
+  onCancel = null,
   className = '' 
 }) => {
-const stages = [
+const isSplit = mode === 'split'
+
+  const stages = [
     { key: 'upload', label: 'Upload', icon: 'Upload' },
     { key: 'analyze', label: 'Analyze', icon: 'Search' },
-    { key: 'combine', label: 'Combine', icon: 'Merge' },
+    isSplit
+      ? { key: 'split', label: 'Split', icon: 'Split' }
+      : { key: 'combine', label: 'Combine', icon: 'Merge' },
     { key: 'download', label: 'Download', icon: 'Download' }
   ]
   
@@ -21,10 +30,11 @@ const stages = [
   
   const stageMessages = {
     upload: 'Uploading your Excel files...',
-    analyze: 'Analyzing worksheets...',
+    analyze: `Reading and analyzing worksheets... ${currentWorksheet ? `(${currentWorksheet})` : ''}`,
     combine: `Combining worksheets into one file... ${currentWorksheet ? `(${currentWorksheet})` : ''}`,
-    download: 'Preparing download...',
-    complete: 'Files combined successfully!'
+    split: `Creating a file for each worksheet... ${currentWorksheet ? `(${currentWorksheet})` : ''}`,
+    download: isSplit ? 'Packaging files into a ZIP archive...' : 'Preparing download...',
+    complete: isSplit ? 'Worksheets split successfully!' : 'Files combined successfully!'
   }
 
   return (
@@ -37,7 +47,7 @@ const stages = [
       <div className="space-y-6">
 <div className="text-center">
           <h3 className="text-lg font-medium text-surface-900 mb-2">
-            Combining Your Files
+            {isSplit ? 'Splitting Your Worksheets' : 'Combining Your Files'}
           </h3>
           <p className="text-surface-600">
             {stageMessages[stage] || 'Processing...'}
@@ -50,6 +60,17 @@ const stages = [
           progress={progress}
         />
         
+        {bytesProgress && (
+          <div className="bg-surface-50 rounded-lg p-4">
+            <div className="flex items-center justify-between text-sm">
+              <span className="text-surface-600">Read so far:</span>
+              <span className="font-medium text-surface-900">
+                {formatFileSize(bytesProgress.loaded)} of {formatFileSize(bytesProgress.total)}
+              </span>
+            </div>
+          </div>
+        )}
+
         {worksheetCount > 0 && (
           <div className="bg-surface-50 rounded-lg p-4">
             <div className="flex items-center justify-between text-sm">
@@ -59,7 +80,7 @@ const stages = [
           </div>
         )}
         
-        <div className="flex justify-center">
+        <div className="flex items-center justify-center space-x-4">
           <motion.div
             className="flex items-center space-x-2 text-primary"
             initial={{ opacity: 0 }}
@@ -72,9 +93,14 @@ const stages = [
               className="animate-spin"
             />
             <span className="text-sm font-medium">
-              {stage === 'combine' ? `${progress}% complete` : 'Please wait...'}
+              {stage === 'upload' ? 'Please wait...' : `${progress}% complete`}
             </span>
 </motion.div>
+          {onCancel && (
+            <Button variant="ghost" size="sm" icon="X" onClick={onCancel}>
+              Cancel
+            </Button>
+          )}
         </div>
       </div>
     </motion.div>
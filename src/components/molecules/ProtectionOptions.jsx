@@ -0,0 +1,85 @@
+import React from "react";
+
+const checkboxClassName = 'w-4 h-4 text-primary border-surface-300 rounded focus:ring-primary/20 focus:ring-2'
+const inputClassName = 'w-full rounded-lg border border-surface-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary'
+
+// options: { password, lockStructure, lockSheets, protectionPassword }; empty strings mean "not set"
+const ProtectionOptions = ({
+  options,
+  onChange,
+  disabled = false,
+  className = ''
+}) => {
+  const update = (changes) => onChange({ ...options, ...changes })
+  const encrypt = options.password !== null
+
+  return (
+    <div className={`space-y-3 text-sm text-surface-700 ${className}`}>
+      <label className="flex items-center space-x-2">
+        <input
+          type="checkbox"
+          checked={encrypt}
+          onChange={(e) => update({ password: e.target.checked ? '' : null })}
+          disabled={disabled}
+          className={checkboxClassName}
+        />
+        <span>Require a password to open the file</span>
+      </label>
+      {encrypt && (
+        <div className="ml-6 space-y-1">
+          <input
+            type="password"
+            value={options.password}
+            onChange={(e) => update({ password: e.target.value })}
+            placeholder="Password"
+            autoComplete="new-password"
+            disabled={disabled}
+            className={inputClassName}
+          />
+          <p className="text-xs text-surface-500">
+            Encrypted with AES-256 in your browser. There is no way to recover the file if the password is lost.
+          </p>
+        </div>
+      )}
+
+      <label className="flex items-center space-x-2">
+        <input
+          type="checkbox"
+          checked={options.lockStructure}
+          onChange={(e) => update({ lockStructure: e.target.checked })}
+          disabled={disabled}
+          className={checkboxClassName}
+        />
+        <span>Protect workbook structure (no adding, deleting or renaming tabs)</span>
+      </label>
+      <label className="flex items-center space-x-2">
+        <input
+          type="checkbox"
+          checked={options.lockSheets}
+          onChange={(e) => update({ lockSheets: e.target.checked })}
+          disabled={disabled}
+          className={checkboxClassName}
+        />
+        <span>Protect every sheet from editing</span>
+      </label>
+      {(options.lockStructure || options.lockSheets) && (
+        <div className="ml-6 space-y-1">
+          <input
+            type="password"
+            value={options.protectionPassword}
+            onChange={(e) => update({ protectionPassword: e.target.value })}
+            placeholder="Unprotect password (optional)"
+            autoComplete="new-password"
+            disabled={disabled}
+            className={inputClassName}
+          />
+          <p className="text-xs text-surface-500">
+            Protection stops accidental edits in Excel; it is not encryption.
+          </p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ProtectionOptions
@@ -0,0 +1,95 @@
+import React from "react";
+import ApperIcon from "@/components/ApperIcon";
+import { SHEET_NAME_MAX_LENGTH, SHEET_NAME_TOKENS } from "@/utils/sheetNames";
+
+const inputClassName = 'w-full rounded-lg border px-3 py-1.5 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary'
+
+// entries come from buildSheetNames: { key, fileName, sheetName, name, edited, error }
+const SheetNameEditor = ({
+  template,
+  onTemplateChange,
+  entries = [],
+  onRename,
+  onResetName,
+  disabled = false,
+  className = ''
+}) => {
+  const problemCount = entries.filter(entry => entry.error).length
+
+  return (
+    <div className={`space-y-3 ${className}`}>
+      <div className="space-y-1">
+        <label htmlFor="sheet-name-template" className="block text-sm font-medium text-surface-700">
+          Tab names
+        </label>
+        <input
+          id="sheet-name-template"
+          type="text"
+          value={template}
+          onChange={(e) => onTemplateChange(e.target.value)}
+          disabled={disabled}
+          className={`${inputClassName} border-surface-300`}
+        />
+        <p className="text-xs text-surface-500">
+          {SHEET_NAME_TOKENS.map(({ token, description }) => `${token} ${description}`).join(', ')}.
+          Names over {SHEET_NAME_MAX_LENGTH} characters are shortened from the longest part.
+        </p>
+      </div>
+
+      <div className="max-h-72 overflow-y-auto rounded-lg border border-surface-200">
+        <table className="w-full text-sm">
+          <thead className="sticky top-0 bg-surface-50 text-xs text-surface-500">
+            <tr>
+              <th className="px-3 py-2 text-left font-medium">Source</th>
+              <th className="px-3 py-2 text-left font-medium">Tab name</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-surface-100">
+            {entries.map(entry => (
+              <tr key={entry.key}>
+                <td className="px-3 py-2 text-surface-600 align-top">
+                  <div className="truncate max-w-[14rem]" title={`${entry.fileName} › ${entry.sheetName}`}>
+                    {entry.fileName} › {entry.sheetName}
+                  </div>
+                </td>
+                <td className="px-3 py-2 align-top">
+                  <div className="flex items-center space-x-2">
+                    <input
+                      type="text"
+                      value={entry.name}
+                      onChange={(e) => onRename(entry.key, e.target.value)}
+                      disabled={disabled}
+                      aria-invalid={!!entry.error}
+                      className={`${inputClassName} ${entry.error ? 'border-red-300' : 'border-surface-300'}`}
+                    />
+                    {entry.edited && (
+                      <button
+                        type="button"
+                        onClick={() => onResetName(entry.key)}
+                        disabled={disabled}
+                        title="Use the template name"
+                        className="text-surface-400 hover:text-surface-600 flex-shrink-0"
+                      >
+                        <ApperIcon name="RotateCcw" size={14} />
+                      </button>
+                    )}
+                  </div>
+                  {entry.error && <div className="mt-1 text-xs text-red-600">{entry.error}</div>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {problemCount > 0 && (
+        <div className="flex items-center space-x-2 text-sm text-red-700">
+          <ApperIcon name="AlertCircle" size={16} className="flex-shrink-0" />
+          <span>Fix {problemCount} tab {problemCount === 1 ? 'name' : 'names'} before combining.</span>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SheetNameEditor
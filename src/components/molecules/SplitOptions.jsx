@@ -0,0 +1,311 @@
+import React from "react";
+import ApperIcon from "@/components/ApperIcon";
+
+const splitModes = [
+  { key: 'sheets', label: 'By worksheet', description: 'One file for each selected worksheet', icon: 'Layers' },
+  { key: 'column', label: 'By column value', description: 'One file for each value in a column of one sheet', icon: 'Filter' },
+  { key: 'chunks', label: 'Into parts', description: 'Parts of one sheet by row count or file size', icon: 'Scissors' }
+]
+
+const formats = [
+  { key: 'pdf', label: 'PDF', description: 'Printable document' },
+  { key: 'xlsx', label: 'Excel (.xlsx)', description: 'Values, formats, merges and widths' },
+  { key: 'csv', label: 'CSV', description: 'Comma-separated values' },
+  { key: 'tsv', label: 'TSV', description: 'Tab-separated values' }
+]
+
+const selectClassName = 'w-full rounded-lg border border-surface-300 px-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary'
+
+const formatNumber = (num) => new Intl.NumberFormat().format(num)
+
+// sheets: [{ id, label, headers, dataRowCount, filtered? }] to split by column or into parts; columnSplit: { column, namePattern };
+// columnGroups: [{ value, rowCount }] for the chosen column, null until they have been counted;
+// chunkSplit: { by: 'rows' | 'size', rowsPerPart, maxMegabytes }
+const SplitOptions = ({
+  splitBy = 'sheets',
+  onSplitByChange,
+  format = 'pdf',
+  namePattern = '{file}_{sheet}',
+  pdfOptions = {},
+  sheets = [],
+  sheetId = '',
+  onSheetChange,
+  columnSplit,
+  onColumnSplitChange,
+  chunkSplit,
+  onChunkSplitChange,
+  columnGroups = null,
+  columnGroupsError = null,
+  onFormatChange,
+  onNamePatternChange,
+  onPdfOptionsChange,
+  disabled = false,
+  className = ''
+}) => {
+  const sheet = sheets.find(option => option.id === sheetId)
+  const updateColumnSplit = (changes) => onColumnSplitChange({ ...columnSplit, ...changes })
+  const updateChunkSplit = (changes) => onChunkSplitChange({ ...chunkSplit, ...changes })
+  const partCount = sheet && chunkSplit?.rowsPerPart >= 1 ? Math.max(1, Math.ceil(sheet.dataRowCount / chunkSplit.rowsPerPart)) : null
+
+  return (
+    <div className={`bg-white rounded-lg border border-surface-200 p-4 space-y-4 ${className}`}>
+      <div className="flex items-center space-x-2 text-sm font-medium text-surface-900">
+        <ApperIcon name="Split" size={16} className="text-primary" />
+        <span>Split Options</span>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+        {splitModes.map(option => (
+          <label
+            key={option.key}
+            className={`flex items-start space-x-3 rounded-lg border p-3 text-sm cursor-pointer transition-colors duration-200 ${
+              splitBy === option.key
+                ? 'border-primary bg-primary/5 text-primary'
+                : 'border-surface-200 text-surface-700 hover:border-surface-300'
+            } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            <input
+              type="radio"
+              name="split-by"
+              value={option.key}
+              checked={splitBy === option.key}
+              onChange={() => onSplitByChange(option.key)}
+              disabled={disabled}
+              className="sr-only"
+            />
+            <ApperIcon name={option.icon} size={16} className="flex-shrink-0 mt-0.5" />
+            <div>
+              <div className="font-medium">{option.label}</div>
+              <div className="text-xs text-surface-500 mt-1">{option.description}</div>
+            </div>
+          </label>
+        ))}
+      </div>
+
+      {splitBy !== 'sheets' && (
+        <div className="space-y-1">
+          <label htmlFor="split-sheet" className="block text-sm font-medium text-surface-700">Sheet</label>
+          <select
+            id="split-sheet"
+            value={sheetId}
+            onChange={(e) => onSheetChange(e.target.value)}
+            disabled={disabled}
+            className={selectClassName}
+          >
+            <option value="">Choose a sheet…</option>
+            {sheets.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      {splitBy === 'column' && (
+        <div className="space-y-3">
+          <div className="space-y-1">
+            <label htmlFor="split-column-key" className="block text-sm font-medium text-surface-700">Split on column</label>
+            <select
+              id="split-column-key"
+              value={columnSplit.column}
+              onChange={(e) => updateColumnSplit({ column: e.target.value })}
+              disabled={disabled || !sheet}
+              className={selectClassName}
+            >
+              <option value="">Choose a column…</option>
+              {(sheet?.headers || []).map(header => (
+                <option key={header} value={header}>{header}</option>
+              ))}
+            </select>
+          </div>
+
+          {columnGroupsError ? (
+            <div className="flex items-center space-x-2 text-sm text-red-700">
+              <ApperIcon name="AlertCircle" size={16} className="flex-shrink-0" />
+              <span>{columnGroupsError}</span>
+            </div>
+          ) : sheet && columnSplit.column && (
+            columnGroups === null ? (
+              <div className="text-sm text-surface-500">Counting rows for each value…</div>
+            ) : (
+              <div className="space-y-2">
+                <div className="text-sm text-surface-700">
+                  {columnGroups.length} {columnGroups.length === 1 ? 'file' : 'files'}, {formatNumber(columnGroups.reduce((total, group) => total + group.rowCount, 0))} rows in all
+                </div>
+                <div className="max-h-56 overflow-y-auto rounded-lg border border-surface-200">
+                  <table className="w-full text-sm">
+                    <thead className="sticky top-0 bg-surface-50 text-xs text-surface-500">
+                      <tr>
+                        <th className="px-3 py-2 text-left font-medium">{columnSplit.column}</th>
+                        <th className="px-3 py-2 text-right font-medium">Rows</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-surface-100">
+                      {columnGroups.map(group => (
+                        <tr key={group.value}>
+                          <td className="px-3 py-1.5 text-surface-700 truncate max-w-[16rem]">
+                            {group.value || <span className="italic text-surface-400">(blank)</span>}
+                          </td>
+                          <td className="px-3 py-1.5 text-right text-surface-600">{formatNumber(group.rowCount)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )
+          )}
+        </div>
+      )}
+
+      {splitBy === 'chunks' && (
+        <div className="space-y-2">
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <label className="flex items-center space-x-2 text-sm text-surface-700">
+              <input
+                type="radio"
+                name="chunk-by"
+                checked={chunkSplit.by === 'rows'}
+                onChange={() => updateChunkSplit({ by: 'rows' })}
+                disabled={disabled}
+                className="w-4 h-4 text-primary border-surface-300 focus:ring-primary/20 focus:ring-2"
+              />
+              <span>At most</span>
+              <input
+                type="number"
+                min="1"
+                step="1"
+                value={chunkSplit.rowsPerPart}
+                onChange={(e) => updateChunkSplit({ by: 'rows', rowsPerPart: Number(e.target.value) })}
+                disabled={disabled}
+                aria-label="Rows per part"
+                className="w-28 rounded-lg border border-surface-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary"
+              />
+              <span>rows per part</span>
+            </label>
+            <label className="flex items-center space-x-2 text-sm text-surface-700">
+              <input
+                type="radio"
+                name="chunk-by"
+                checked={chunkSplit.by === 'size'}
+                onChange={() => updateChunkSplit({ by: 'size' })}
+                disabled={disabled}
+                className="w-4 h-4 text-primary border-surface-300 focus:ring-primary/20 focus:ring-2"
+              />
+              <span>Under</span>
+              <input
+                type="number"
+                min="0.01"
+                step="0.5"
+                value={chunkSplit.maxMegabytes}
+                onChange={(e) => updateChunkSplit({ by: 'size', maxMegabytes: Number(e.target.value) })}
+                disabled={disabled}
+                aria-label="Maximum part size in MB"
+                className="w-24 rounded-lg border border-surface-300 px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary"
+              />
+              <span>MB per part</span>
+            </label>
+          </div>
+          <p className="text-xs text-surface-500">
+            {sheet && chunkSplit.by === 'rows' && partCount
+              ? `${formatNumber(sheet.dataRowCount)} ${sheet.filtered ? 'filtered ' : ''}data rows make ${partCount} ${partCount === 1 ? 'part' : 'parts'}. `
+              : ''}
+            Every part starts with the header row, and files are numbered _part001, _part002, …
+          </p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {formats.map(option => (
+          <label
+            key={option.key}
+            className={`flex flex-col rounded-lg border p-3 text-sm cursor-pointer transition-colors duration-200 ${
+              format === option.key
+                ? 'border-primary bg-primary/5 text-primary'
+                : 'border-surface-200 text-surface-700 hover:border-surface-300'
+            } ${disabled ? 'opacity-50 cursor-not-allowed' : ''}`}
+          >
+            <input
+              type="radio"
+              name="split-format"
+              value={option.key}
+              checked={format === option.key}
+              onChange={() => onFormatChange(option.key)}
+              disabled={disabled}
+              className="sr-only"
+            />
+            <span className="font-medium">{option.label}</span>
+            <span className="text-xs text-surface-500 mt-1">{option.description}</span>
+          </label>
+        ))}
+      </div>
+
+      {format === 'pdf' && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+          <div className="space-y-1">
+            <label htmlFor="pdf-orientation" className="block text-sm font-medium text-surface-700">
+              Orientation
+            </label>
+            <select
+              id="pdf-orientation"
+              value={pdfOptions.orientation || 'portrait'}
+              onChange={(e) => onPdfOptionsChange({ ...pdfOptions, orientation: e.target.value })}
+              disabled={disabled}
+              className={selectClassName}
+            >
+              <option value="portrait">Portrait</option>
+              <option value="landscape">Landscape</option>
+            </select>
+          </div>
+          <div className="space-y-1">
+            <label htmlFor="pdf-wide-tables" className="block text-sm font-medium text-surface-700">
+              Wide tables
+            </label>
+            <select
+              id="pdf-wide-tables"
+              value={pdfOptions.wideTables || 'continue'}
+              onChange={(e) => onPdfOptionsChange({ ...pdfOptions, wideTables: e.target.value })}
+              disabled={disabled}
+              className={selectClassName}
+            >
+              <option value="continue">Continue on extra pages</option>
+              <option value="fit">Fit to page width</option>
+            </select>
+          </div>
+          <label className="flex items-center space-x-2 text-sm text-surface-700 sm:pt-7">
+            <input
+              type="checkbox"
+              checked={pdfOptions.headerRow !== false}
+              onChange={(e) => onPdfOptionsChange({ ...pdfOptions, headerRow: e.target.checked })}
+              disabled={disabled}
+              className="w-4 h-4 text-primary border-surface-300 rounded focus:ring-primary/20 focus:ring-2"
+            />
+            <span>Repeat header row</span>
+          </label>
+        </div>
+      )}
+
+      <div className="space-y-1">
+        <label htmlFor="split-name-pattern" className="block text-sm font-medium text-surface-700">
+          File name pattern
+        </label>
+        <input
+          id="split-name-pattern"
+          type="text"
+          value={splitBy === 'column' ? columnSplit.namePattern : namePattern}
+          onChange={(e) => (splitBy === 'column'
+            ? updateColumnSplit({ namePattern: e.target.value })
+            : onNamePatternChange(e.target.value))}
+          disabled={disabled}
+          className="w-full rounded-lg border border-surface-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary"
+        />
+        <p className="text-xs text-surface-500">
+          {splitBy === 'column'
+            ? <>Use {'{value}'} for the column value, {'{column}'} for the column name, {'{file}'} and {'{sheet}'} for the source and {'{index}'} for the file's position.</>
+            : <>Use {'{file}'} for the workbook name, {'{sheet}'} for the worksheet name and {'{index}'} for its position.</>}
+        </p>
+      </div>
+    </div>
+  )
+}
+
+export default SplitOptions
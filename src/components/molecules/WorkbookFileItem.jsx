@@ -0,0 +1,229 @@
+import { AnimatePresence, motion } from "framer-motion";
+import React, { useState } from "react";
+import ApperIcon from "@/components/ApperIcon";
+import WorksheetCard from "@/components/molecules/WorksheetCard";
+import Button from "@/components/atoms/Button";
+import { formatFileSize } from "@/utils/formatters";
+import { DELIMITERS, ENCODINGS } from "@/utils/textImport";
+import { FILE_DRAG_TYPE, SHEET_DRAG_TYPE } from "@/utils/ordering";
+import { describeFilter } from "@/utils/rowFilters";
+
+const selectClassName = 'rounded-lg border border-surface-300 px-2 py-1 text-xs bg-white focus:outline-none focus:ring-2 focus:ring-primary/20'
+
+const WorkbookFileItem = ({
+  analysis,
+  selectedSheets = [],
+  previewSheet = null,
+  filterSheet = null,
+  sheetFilters = {}, // { [sheetName]: filter }
+  expanded = false,
+  onToggleExpand,
+  onSheetSelectionChange,
+  onSelectAll,
+  onRemove,
+  onTextImportChange,
+  onPreviewSheet,
+  onFilterSheet,
+  onMoveFile,
+  onMoveSheet,
+  disabled = false,
+  className = ''
+}) => {
+  const { file, worksheets, textImport } = analysis
+  const selectedCount = worksheets.filter(ws => selectedSheets.includes(ws.name)).length
+  const dataSheetCount = worksheets.filter(ws => ws.hasData).length
+  const allDataSelected = worksheets.every(ws => !ws.hasData || selectedSheets.includes(ws.name))
+  const [fileDropTarget, setFileDropTarget] = useState(false)
+  const [sheetDropIndex, setSheetDropIndex] = useState(null)
+
+  // Files and sheets are dragged with their own data types, so a sheet can't land between files
+  const acceptsDrag = (e, type) => !disabled && e.dataTransfer.types.includes(type)
+
+  const fileDropProps = onMoveFile ? {
+    onDragOver: (e) => {
+      if (!acceptsDrag(e, FILE_DRAG_TYPE)) return
+      e.preventDefault()
+      setFileDropTarget(true)
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setFileDropTarget(false)
+    },
+    onDrop: (e) => {
+      setFileDropTarget(false)
+      if (!acceptsDrag(e, FILE_DRAG_TYPE)) return
+      e.preventDefault()
+      onMoveFile(Number(e.dataTransfer.getData(FILE_DRAG_TYPE)))
+    }
+  } : {}
+
+  const sheetDragProps = (index) => (onMoveSheet ? {
+    draggable: !disabled,
+    onDragStart: (e) => {
+      e.stopPropagation()
+      e.dataTransfer.setData(SHEET_DRAG_TYPE, `${file.Id}:${index}`)
+      e.dataTransfer.effectAllowed = 'move'
+    },
+    onDragOver: (e) => {
+      if (!acceptsDrag(e, SHEET_DRAG_TYPE)) return
+      e.preventDefault()
+      e.stopPropagation()
+      setSheetDropIndex(index)
+    },
+    onDragLeave: (e) => {
+      if (!e.currentTarget.contains(e.relatedTarget)) setSheetDropIndex(null)
+    },
+    onDrop: (e) => {
+      setSheetDropIndex(null)
+      if (!acceptsDrag(e, SHEET_DRAG_TYPE)) return
+      e.preventDefault()
+      e.stopPropagation()
+      const [fileId, fromIndex] = e.dataTransfer.getData(SHEET_DRAG_TYPE).split(':').map(Number)
+      if (fileId === file.Id && fromIndex !== index) {
+        onMoveSheet(fromIndex, index)
+      }
+    }
+  } : {})
+
+  return (
+    <div
+      className={`bg-surface-50 rounded-lg ${fileDropTarget ? 'ring-2 ring-primary/40' : ''} ${className}`}
+      {...fileDropProps}
+    >
+      <div
+        className="flex items-center justify-between py-2 px-3"
+        draggable={!!onMoveFile && !disabled}
+        onDragStart={(e) => {
+          e.dataTransfer.setData(FILE_DRAG_TYPE, String(file.Id))
+          e.dataTransfer.effectAllowed = 'move'
+        }}
+      >
+        {onMoveFile && (
+          <ApperIcon
+            name="GripVertical"
+            size={16}
+            className={`text-surface-300 flex-shrink-0 mr-1 ${disabled ? '' : 'cursor-grab'}`}
+          />
+        )}
+        <button
+          type="button"
+          className="flex items-center space-x-3 flex-1 min-w-0 text-left"
+          onClick={onToggleExpand}
+        >
+          <ApperIcon
+            name={expanded ? "ChevronDown" : "ChevronRight"}
+            size={16}
+            className="text-surface-400 flex-shrink-0"
+          />
+          <ApperIcon name="FileSpreadsheet" size={16} className="text-surface-500 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <div className="text-sm font-medium text-surface-900 truncate">{file.name}</div>
+            <div className="text-xs text-surface-600">
+              {formatFileSize(file.size)} • {selectedCount} of {worksheets.length} worksheets selected
+              {dataSheetCount < worksheets.length && ` • ${worksheets.length - dataSheetCount} empty`}
+            </div>
+          </div>
+        </button>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon="X"
+          onClick={onRemove}
+          disabled={disabled}
+          className="text-surface-400 hover:text-surface-600"
+        />
+      </div>
+
+      <AnimatePresence initial={false}>
+        {expanded && (
+          <motion.div
+            key="worksheets"
+            initial={{ opacity: 0, height: 0 }}
+            animate={{ opacity: 1, height: 'auto' }}
+            exit={{ opacity: 0, height: 0 }}
+            transition={{ duration: 0.2 }}
+            className="overflow-hidden"
+          >
+            <div className="px-3 pb-3 space-y-2">
+              {textImport && (
+                <div className="flex flex-wrap items-center gap-3 text-xs text-surface-600 bg-white rounded-lg border border-surface-200 px-3 py-2">
+                  <label className="flex items-center space-x-2">
+                    <span>Delimiter</span>
+                    <select
+                      value={textImport.delimiter}
+                      onChange={(e) => onTextImportChange({ delimiter: e.target.value })}
+                      disabled={disabled}
+                      className={selectClassName}
+                    >
+                      {DELIMITERS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}{option.value === textImport.detectedDelimiter ? ' — detected' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-center space-x-2">
+                    <span>Encoding</span>
+                    <select
+                      value={textImport.encoding}
+                      onChange={(e) => onTextImportChange({ encoding: e.target.value })}
+                      disabled={disabled}
+                      className={selectClassName}
+                    >
+                      {ENCODINGS.map(option => (
+                        <option key={option.value} value={option.value}>
+                          {option.label}{option.value === textImport.detectedEncoding ? ' — detected' : ''}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              )}
+              <div className="flex items-center justify-end space-x-2">
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  icon="CheckSquare"
+                  onClick={() => onSelectAll(true)}
+                  disabled={disabled || allDataSelected}
+                >
+                  All
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  icon="Square"
+                  onClick={() => onSelectAll(false)}
+                  disabled={disabled || selectedCount === 0}
+                >
+                  None
+                </Button>
+              </div>
+              {worksheets.map((worksheet, index) => (
+                <div
+                  key={worksheet.name}
+                  className={`rounded-lg ${sheetDropIndex === index ? 'ring-2 ring-primary/40' : ''} ${onMoveSheet && !disabled ? 'cursor-grab' : ''}`}
+                  {...sheetDragProps(index)}
+                >
+                  <WorksheetCard
+                    worksheet={worksheet}
+                    index={index}
+                    selected={selectedSheets.includes(worksheet.name)}
+                    previewing={previewSheet === worksheet.name}
+                    filtering={filterSheet === worksheet.name}
+                    filterSummary={describeFilter(sheetFilters[worksheet.name], worksheet.headers.length)}
+                    onSelectionChange={(checked) => onSheetSelectionChange(worksheet.name, checked)}
+                    onPreview={onPreviewSheet && (() => onPreviewSheet(worksheet.name))}
+                    onFilter={onFilterSheet && (() => onFilterSheet(worksheet.name))}
+                    disabled={disabled}
+                  />
+                </div>
+              ))}
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default WorkbookFileItem
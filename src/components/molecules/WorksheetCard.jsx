@@ -5,7 +5,12 @@ const WorksheetCard = ({
   worksheet, 
   index,
   selected = false,
+  previewing = false,
+  filtering = false,
+  filterSummary = '',
   onSelectionChange,
+  onPreview,
+  onFilter,
   disabled = false,
   className = '' 
 }) => {
@@ -47,32 +52,75 @@ return (
             {worksheet.name}
           </h4>
           
-          <div className="mt-2 flex items-center space-x-4 text-sm text-surface-600">
-            <div className="flex items-center space-x-1">
-              <ApperIcon name="Rows" size={14} />
-              <span>{formatNumber(worksheet.rowCount)} rows</span>
-            </div>
-            
-            <div className="flex items-center space-x-1">
-              <ApperIcon name="Columns" size={14} />
-              <span>{formatNumber(worksheet.columnCount)} columns</span>
-            </div>
-          </div>
-          
-          {!worksheet.hasData && (
+          {worksheet.hasData ? (
+            <>
+              <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-surface-600">
+                <div className="flex items-center space-x-1">
+                  <ApperIcon name="Rows" size={14} />
+                  <span>{formatNumber(worksheet.dataRowCount)} data rows</span>
+                </div>
+
+                <div className="flex items-center space-x-1">
+                  <ApperIcon name="Columns" size={14} />
+                  <span>{formatNumber(worksheet.columnCount)} columns</span>
+                </div>
+
+                <div className="flex items-center space-x-1">
+                  <ApperIcon name="Grid3x3" size={14} />
+                  <span>{formatNumber(worksheet.cellCount)} filled cells</span>
+                </div>
+              </div>
+              <div className="mt-1 text-xs text-surface-500">
+                Used range {worksheet.usedRange} • {worksheet.headerRow ? `header in row ${worksheet.headerRow}` : 'no header row detected'}
+              </div>
+              {filterSummary && (
+                <div className="mt-2">
+                  <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-primary/10 text-primary border border-primary/20">
+                    <ApperIcon name="Filter" size={12} className="mr-1" />
+                    Filtered: {filterSummary}
+                  </span>
+                </div>
+              )}
+            </>
+          ) : (
             <div className="mt-2">
               <span className="inline-flex items-center px-2 py-1 rounded-full text-xs bg-warning/10 text-warning border border-warning/20">
                 <ApperIcon name="AlertTriangle" size={12} className="mr-1" />
-                Empty sheet
+                {worksheet.emptyReason === 'formatOnly' ? 'Formatting only, no values' : 'Empty sheet'} — skipped unless ticked
               </span>
             </div>
           )}
         </div>
         
-        <div className="flex-shrink-0">
+        <div className="flex-shrink-0 flex flex-col items-end space-y-2">
           <div className="bg-surface-100 text-surface-600 px-2 py-1 rounded text-xs font-medium">
             Sheet {worksheet.index + 1}
           </div>
+          {onPreview && worksheet.hasData && (
+            <button
+              type="button"
+              onClick={onPreview}
+              className={`flex items-center space-x-1 text-xs font-medium ${
+                previewing ? 'text-primary' : 'text-surface-500 hover:text-primary'
+              }`}
+            >
+              <ApperIcon name="Eye" size={14} />
+              <span>{previewing ? 'Previewing' : 'Preview'}</span>
+            </button>
+          )}
+          {onFilter && worksheet.hasData && (
+            <button
+              type="button"
+              onClick={onFilter}
+              disabled={disabled}
+              className={`flex items-center space-x-1 text-xs font-medium disabled:opacity-50 ${
+                filtering ? 'text-primary' : 'text-surface-500 hover:text-primary'
+              }`}
+            >
+              <ApperIcon name="Filter" size={14} />
+              <span>{filtering ? 'Filtering' : 'Filter'}</span>
+            </button>
+          )}
         </div>
       </div>
     </motion.div>
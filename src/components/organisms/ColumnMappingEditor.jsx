@@ -0,0 +1,275 @@
+import React, { useEffect, useState } from "react";
+import { toast } from "react-toastify";
+import columnMappingService from "@/services/api/columnMappingService";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { getUnmappedHeaders, reconcileColumnMapping, suggestColumnMapping } from "@/utils/columnMapping";
+
+const inputClassName = 'rounded-lg border border-surface-300 px-3 py-1.5 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary'
+
+const ColumnMappingEditor = ({
+  headers = [],
+  columns = [],
+  onChange,
+  disabled = false,
+  className = ''
+}) => {
+  const [savedMappings, setSavedMappings] = useState([])
+  const [selectedMappingId, setSelectedMappingId] = useState('')
+  const [mappingName, setMappingName] = useState('')
+
+  useEffect(() => {
+    columnMappingService.getAll().then(setSavedMappings)
+  }, [])
+
+  const unmappedHeaders = getUnmappedHeaders(columns, headers)
+
+  const updateColumn = (index, changes) => {
+    onChange(columns.map((column, i) => (i === index ? { ...column, ...changes } : column)))
+  }
+
+  const moveColumn = (index, direction) => {
+    const target = index + direction
+    if (target < 0 || target >= columns.length) return
+    const reordered = [...columns]
+    const [moved] = reordered.splice(index, 1)
+    reordered.splice(target, 0, moved)
+    onChange(reordered)
+  }
+
+  const mergeColumn = (index, targetIndex) => {
+    const source = columns[index]
+    onChange(columns
+      .map((column, i) => (i === targetIndex ? { ...column, sources: [...column.sources, ...source.sources] } : column))
+      .filter((_, i) => i !== index))
+  }
+
+  const dropColumn = (index) => {
+    onChange(columns.filter((_, i) => i !== index))
+  }
+
+  const removeSource = (index, source) => {
+    const remaining = columns[index].sources.filter(name => name !== source)
+    if (remaining.length === 0) {
+      dropColumn(index)
+    } else {
+      updateColumn(index, { sources: remaining })
+    }
+  }
+
+  const assignHeader = (header, targetIndex) => {
+    if (targetIndex === 'new') {
+      onChange([...columns, { name: header, sources: [header] }])
+    } else {
+      updateColumn(Number(targetIndex), { sources: [...columns[targetIndex].sources, header] })
+    }
+  }
+
+  const handleSaveMapping = async () => {
+    try {
+      const saved = await columnMappingService.save(mappingName, columns)
+      setSavedMappings(await columnMappingService.getAll())
+      setSelectedMappingId(String(saved.Id))
+      setMappingName('')
+      toast.success(`Mapping "${saved.name}" saved`)
+    } catch (err) {
+      toast.error(err.message)
+    }
+  }
+
+  const handleLoadMapping = () => {
+    const mapping = savedMappings.find(item => String(item.Id) === selectedMappingId)
+    if (!mapping) return
+    onChange(reconcileColumnMapping(mapping.columns, headers))
+    toast.info(`Mapping "${mapping.name}" applied`)
+  }
+
+  const handleDeleteMapping = async () => {
+    const mapping = savedMappings.find(item => String(item.Id) === selectedMappingId)
+    if (!mapping) return
+    try {
+      await columnMappingService.delete(mapping.Id)
+      setSavedMappings(await columnMappingService.getAll())
+      setSelectedMappingId('')
+      toast.info(`Mapping "${mapping.name}" deleted`)
+    } catch (err) {
+      toast.error(err.message)
+    }
+  }
+
+  const duplicateNames = columns
+    .map(column => column.name.trim().toLowerCase())
+    .filter((name, index, names) => names.indexOf(name) !== index)
+
+  return (
+    <div className={`bg-white rounded-lg border border-surface-200 p-4 space-y-4 ${className}`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-sm font-medium text-surface-900">
+          <ApperIcon name="ArrowLeftRight" size={16} className="text-primary" />
+          <span>Column Mapping</span>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon="Wand2"
+          onClick={() => onChange(suggestColumnMapping(headers))}
+          disabled={disabled}
+        >
+          Suggest Matches
+        </Button>
+      </div>
+
+      <div className="space-y-2">
+        {columns.map((column, index) => (
+          <div key={index} className="flex flex-col sm:flex-row sm:items-center gap-2 bg-surface-50 rounded-lg p-2">
+            <div className="flex items-center space-x-1 flex-shrink-0">
+              <button
+                type="button"
+                onClick={() => moveColumn(index, -1)}
+                disabled={disabled || index === 0}
+                className="p-1 text-surface-400 hover:text-surface-700 disabled:opacity-30"
+                title="Move up"
+              >
+                <ApperIcon name="ChevronUp" size={14} />
+              </button>
+              <button
+                type="button"
+                onClick={() => moveColumn(index, 1)}
+                disabled={disabled || index === columns.length - 1}
+                className="p-1 text-surface-400 hover:text-surface-700 disabled:opacity-30"
+                title="Move down"
+              >
+                <ApperIcon name="ChevronDown" size={14} />
+              </button>
+            </div>
+
+            <input
+              type="text"
+              value={column.name}
+              onChange={(e) => updateColumn(index, { name: e.target.value })}
+              disabled={disabled}
+              className={`${inputClassName} sm:w-44 ${
+                !column.name.trim() || duplicateNames.includes(column.name.trim().toLowerCase()) ? 'border-error' : ''
+              }`}
+            />
+
+            <div className="flex-1 flex flex-wrap gap-1">
+              {column.sources.map(source => (
+                <span
+                  key={source}
+                  className="inline-flex items-center px-2 py-0.5 rounded-full text-xs bg-primary/10 text-primary"
+                >
+                  {source}
+                  <button
+                    type="button"
+                    onClick={() => removeSource(index, source)}
+                    disabled={disabled}
+                    className="ml-1 hover:text-blue-800"
+                    title="Remove from this column"
+                  >
+                    <ApperIcon name="X" size={10} />
+                  </button>
+                </span>
+              ))}
+            </div>
+
+            <div className="flex items-center space-x-1 flex-shrink-0">
+              <select
+                value=""
+                onChange={(e) => mergeColumn(index, Number(e.target.value))}
+                disabled={disabled || columns.length < 2}
+                className={inputClassName}
+              >
+                <option value="" disabled>Merge into…</option>
+                {columns.map((target, targetIndex) => targetIndex !== index && (
+                  <option key={targetIndex} value={targetIndex}>{target.name}</option>
+                ))}
+              </select>
+              <button
+                type="button"
+                onClick={() => dropColumn(index)}
+                disabled={disabled}
+                className="p-1.5 text-surface-400 hover:text-error"
+                title="Drop column"
+              >
+                <ApperIcon name="Trash2" size={14} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {duplicateNames.length > 0 && (
+        <p className="text-xs text-error">Output column names must be unique.</p>
+      )}
+
+      {unmappedHeaders.length > 0 && (
+        <div className="space-y-2">
+          <div className="text-sm text-surface-600">
+            Not included in the output ({unmappedHeaders.length}):
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {unmappedHeaders.map(header => (
+              <div key={header} className="inline-flex items-center space-x-1 bg-surface-100 rounded-full pl-2 pr-1 py-0.5 text-xs text-surface-700">
+                <span>{header}</span>
+                <select
+                  value=""
+                  onChange={(e) => assignHeader(header, e.target.value)}
+                  disabled={disabled}
+                  className="bg-transparent text-xs text-primary focus:outline-none"
+                >
+                  <option value="" disabled>Add to…</option>
+                  <option value="new">New column</option>
+                  {columns.map((column, index) => (
+                    <option key={index} value={index}>{column.name}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="border-t border-surface-200 pt-4 flex flex-col sm:flex-row gap-2">
+        <div className="flex items-center gap-2 flex-1">
+          <select
+            value={selectedMappingId}
+            onChange={(e) => setSelectedMappingId(e.target.value)}
+            disabled={disabled || savedMappings.length === 0}
+            className={`${inputClassName} flex-1`}
+          >
+            <option value="">{savedMappings.length ? 'Saved mappings…' : 'No saved mappings'}</option>
+            {savedMappings.map(mapping => (
+              <option key={mapping.Id} value={mapping.Id}>{mapping.name}</option>
+            ))}
+          </select>
+          <Button variant="ghost" size="sm" onClick={handleLoadMapping} disabled={disabled || !selectedMappingId}>
+            Load
+          </Button>
+          <Button variant="ghost" size="sm" icon="Trash2" onClick={handleDeleteMapping} disabled={disabled || !selectedMappingId} />
+        </div>
+        <div className="flex items-center gap-2 flex-1">
+          <input
+            type="text"
+            value={mappingName}
+            onChange={(e) => setMappingName(e.target.value)}
+            placeholder="Mapping name"
+            disabled={disabled}
+            className={`${inputClassName} flex-1`}
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            icon="Save"
+            onClick={handleSaveMapping}
+            disabled={disabled || !mappingName.trim() || columns.length === 0}
+          >
+            Save
+          </Button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ColumnMappingEditor
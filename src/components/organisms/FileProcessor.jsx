@@ -1,82 +1,239 @@
-import React, { useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { AnimatePresence, motion } from "framer-motion";
 import { toast } from "react-toastify";
 import fileProcessingService from "@/services/api/fileProcessingService";
+import jobQueueService from "@/services/api/jobQueueService";
 import ApperIcon from "@/components/ApperIcon";
 import FileUploadZone from "@/components/molecules/FileUploadZone";
-import WorksheetCard from "@/components/molecules/WorksheetCard";
+import WorkbookFileItem from "@/components/molecules/WorkbookFileItem";
+import FailedFileItem from "@/components/molecules/FailedFileItem";
 import ProcessingStatus from "@/components/molecules/ProcessingStatus";
+import SplitOptions from "@/components/molecules/SplitOptions";
+import CombineOptions from "@/components/molecules/CombineOptions";
+import JobQueuePanel from "@/components/molecules/JobQueuePanel";
+import ColumnMappingEditor from "@/components/organisms/ColumnMappingEditor";
+import SheetPreview from "@/components/organisms/SheetPreview";
+import SheetFilterEditor from "@/components/organisms/SheetFilterEditor";
+import PresetManager from "@/components/organisms/PresetManager";
 import FileIcon from "@/components/atoms/FileIcon";
 import Button from "@/components/atoms/Button";
+import { formatFileSize, getBaseName } from "@/utils/formatters";
+import { suggestColumnMapping } from "@/utils/columnMapping";
+import { DEFAULT_SHEET_NAME_TEMPLATE, buildSheetNames, sheetNameKey } from "@/utils/sheetNames";
+import { filterHeaders, isFilterActive } from "@/utils/rowFilters";
+import { createPreset, resolvePreset } from "@/utils/presets";
+import { isJobPending } from "@/utils/jobs";
+import { SORT_OPTIONS, moveItem, sortAnalyses } from "@/utils/ordering";
+import { ACCEPTED_FILE_TYPES } from "@/utils/fileTypes";
+import { isCancelledError } from "@/workers/workbookClient";
+
+// Empty and formatting-only sheets are left out of every "select all"; they can still be ticked by hand
+const dataSheetNames = (analysis) => analysis.worksheets.filter(ws => ws.hasData).map(ws => ws.name)
+
+const selectAllSheets = (analyses) => analyses.reduce((selection, analysis) => {
+  selection[analysis.file.Id] = dataSheetNames(analysis)
+  return selection
+}, {})
+
+const countSkippedSheets = (analyses) => analyses.reduce((total, analysis) => (
+  total + analysis.worksheets.filter(ws => !ws.hasData).length
+), 0)
+
+const noColumnSplit = { column: '', namePattern: '{value}' }
+
+const noProtection = { password: null, lockStructure: false, lockSheets: false, protectionPassword: '' } // password null = not encrypted
 
 const FileProcessor = () => {
   const [files, setFiles] = useState([])
   const [workbookAnalyses, setWorkbookAnalyses] = useState([])
+  const [failedFiles, setFailedFiles] = useState([]) // uploads that couldn't be loaded, each with its error
   const [totalWorksheets, setTotalWorksheets] = useState(0)
-  const [stage, setStage] = useState('idle') // idle, upload, analyze, combine, download, complete
+  const [selectedSheets, setSelectedSheets] = useState({}) // { [fileId]: [sheetName, ...] }
+  const [expandedFiles, setExpandedFiles] = useState({})
+  const [preview, setPreview] = useState(null) // { fileId, sheetName } shown in the preview grid
+  const [sheetFilters, setSheetFilters] = useState({}) // { [fileId:sheetName]: filter } — see rowFilters
+  const [filterEditor, setFilterEditor] = useState(null) // { fileId, sheetName } whose filter is being edited
+  const [stage, setStage] = useState('idle') // idle, upload, analyze, combine, split, download, complete
+  const [processMode, setProcessMode] = useState('combine') // combine, split
+  const [combineMode, setCombineMode] = useState('sheets') // sheets, append, join
+  const [addSourceColumns, setAddSourceColumns] = useState(false)
+  const [columnMapping, setColumnMapping] = useState(null) // null = line up by exact header name
+  const [joinConfig, setJoinConfig] = useState({ leftId: '', rightId: '', type: 'left', keys: [], includeTabs: false })
+  const [addIndexSheet, setAddIndexSheet] = useState(false)
+  const [addBackLinks, setAddBackLinks] = useState(false)
+  const [sheetNameTemplate, setSheetNameTemplate] = useState(DEFAULT_SHEET_NAME_TEMPLATE)
+  const [sheetNameOverrides, setSheetNameOverrides] = useState({}) // { [fileId:sheetName]: name typed by hand }
+  const [outputFormat, setOutputFormat] = useState('xlsx') // xlsx, xlsm, xlsb, ods, csv, json
+  const [protection, setProtection] = useState(noProtection)
+  const [dedupeOptions, setDedupeOptions] = useState(null) // null = keep every row
+  const [combineReport, setCombineReport] = useState(null)
+  const [splitBy, setSplitBy] = useState('sheets') // sheets, column, chunks
+  const [splitFormat, setSplitFormat] = useState('pdf') // pdf, xlsx, csv, tsv
+  const [splitNamePattern, setSplitNamePattern] = useState('{file}_{sheet}')
+  const [splitSheetId, setSplitSheetId] = useState('') // the sheet split by column or into parts
+  const [columnSplit, setColumnSplit] = useState(noColumnSplit)
+  const [chunkSplit, setChunkSplit] = useState({ by: 'rows', rowsPerPart: 10000, maxMegabytes: 5 })
+  const [columnGroups, setColumnGroups] = useState(null) // [{ value, rowCount }] for columnSplit
+  const [columnGroupsError, setColumnGroupsError] = useState(null)
+  const [splitRowCount, setSplitRowCount] = useState(null) // rows the split sheet's filter keeps, null = unfiltered
+  const [pdfOptions, setPdfOptions] = useState({ orientation: 'portrait', wideTables: 'continue', headerRow: true })
+  const [presetWarnings, setPresetWarnings] = useState([]) // what the last loaded preset couldn't find
   const [progress, setProgress] = useState(0)
   const [currentWorksheet, setCurrentWorksheet] = useState('')
+  const [bytesProgress, setBytesProgress] = useState(null) // { loaded, total } while files are read
   const [downloadReady, setDownloadReady] = useState(null)
   const [error, setError] = useState(null)
+  const [failedStep, setFailedStep] = useState(null) // { step, files?, adding?, result?, settings? } — what Retry runs again
+  const [sessionJobs, setSessionJobs] = useState([]) // this session's combine and split jobs, see jobQueueService
+  const jobRef = useRef(null) // AbortController of the running job
+
+  useEffect(() => jobQueueService.subscribe(setSessionJobs), [])
+  const queueBusy = sessionJobs.some(isJobPending)
+
+  // Every long-running step gets a fresh signal; Cancel aborts whichever one is running
+  const startJob = () => {
+    jobRef.current = new AbortController()
+    return jobRef.current.signal
+  }
+
+  const handleCancel = () => {
+    if (jobRef.current) {
+      jobRef.current.abort()
+    }
+  }
+
+  const reportProgress = (progressValue, details = {}) => {
+    setProgress(progressValue)
+    if (details.sheet || details.fileName) {
+      setCurrentWorksheet(details.sheet || details.fileName)
+    }
+    if (details.bytesTotal) {
+      setBytesProgress({ loaded: details.bytesLoaded, total: details.bytesTotal })
+    }
+  }
+
+  // A failed step holds on to what it needs to run again; starting something else frees it
+  const clearFailedStep = () => {
+    if (failedStep?.result) {
+      fileProcessingService.releaseResults([failedStep.result])
+    }
+    setFailedStep(null)
+  }
+
+  // Cancelling and failing both land back on the file list with every analysis intact
+  const handleStepError = (err, failed, cancelledMessage, failedMessage) => {
+    setStage('idle')
+    if (isCancelledError(err)) {
+      if (failed?.result) {
+        fileProcessingService.releaseResults([failed.result])
+      }
+      toast.info(cancelledMessage)
+      return
+    }
+    setFailedStep(failed)
+    setError(err.message)
+    toast.error(failedMessage)
+  }
+
+  // Clearing the files would take them away from the queued jobs still waiting to read them
+  const handleStartOver = () => {
+    if (jobQueueService.isBusy()) {
+      toast.warning('Wait for the queued jobs to finish, or cancel them, before clearing the files')
+      return
+    }
+    resetState()
+  }
 
   const resetState = () => {
+    handleCancel()
+    fileProcessingService.releaseAll()
+    setFailedStep(null)
     setFiles([])
     setWorkbookAnalyses([])
+    setFailedFiles([])
     setTotalWorksheets(0)
+    setSelectedSheets({})
+    setExpandedFiles({})
+    setPreview(null)
+    setSheetFilters({})
+    setFilterEditor(null)
+    setPresetWarnings([])
+    setSheetNameOverrides({})
+    setColumnMapping(null)
+    setJoinConfig({ leftId: '', rightId: '', type: 'left', keys: [], includeTabs: false })
+    setDedupeOptions(null)
+    setProtection(noProtection)
+    setSplitSheetId('')
+    setColumnSplit(noColumnSplit)
+    setCombineReport(null)
     setStage('idle')
+    setProcessMode('combine')
     setProgress(0)
     setCurrentWorksheet('')
+    setBytesProgress(null)
     setDownloadReady(null)
     setError(null)
   }
 
+  // Validates and analyzes a batch. Files that can't be loaded come back as failures, in upload order,
+  // instead of rejecting the whole batch.
+  const loadFiles = async (newFiles) => {
+    setStage('upload')
+    setProgress(0)
+
+    const { valid, failures: invalidFiles } = await fileProcessingService.validateMultipleFiles(newFiles)
+    setProgress(50)
+
+    setStage('analyze')
+    setProgress(0)
+    setBytesProgress(null)
+
+    const { analyses, failures } = await fileProcessingService.analyzeMultipleWorkbooks(valid, reportProgress, startJob())
+    const allFailures = [...invalidFiles, ...failures]
+      .sort((a, b) => newFiles.indexOf(a.source) - newFiles.indexOf(b.source))
+
+    if (allFailures.length > 0) {
+      toast.warning(`${allFailures.length} of ${newFiles.length} ${newFiles.length === 1 ? 'file' : 'files'} could not be loaded`)
+    }
+    const skippedSheets = countSkippedSheets(analyses)
+    if (skippedSheets > 0) {
+      toast.info(`${skippedSheets} empty ${skippedSheets === 1 ? 'sheet was' : 'sheets were'} left unselected`)
+    }
+
+    return { analyses, failures: allFailures }
+  }
+
 const handleFileSelect = async (selectedFiles) => {
     try {
+      clearFailedStep()
       setError(null)
-      setStage('upload')
-      setProgress(0)
 
-      // Validate files
-      await fileProcessingService.validateMultipleFiles(selectedFiles)
-      setProgress(50)
-
-      setStage('analyze')
-      setProgress(0)
-
-      // Analyze all workbooks
-      const analyses = await fileProcessingService.analyzeMultipleWorkbooks(selectedFiles)
+      const { analyses, failures } = await loadFiles(selectedFiles)
       
       const totalWorksheetCount = analyses.reduce((total, analysis) => total + analysis.worksheets.length, 0)
       
       setFiles(analyses.map(a => a.file))
       setWorkbookAnalyses(analyses)
+      setFailedFiles(failures)
       setTotalWorksheets(totalWorksheetCount)
+      setSelectedSheets(selectAllSheets(analyses))
       setStage('idle')
       setProgress(100)
 
-      toast.success(`Found ${totalWorksheetCount} worksheets across ${selectedFiles.length} files`)
+      if (analyses.length > 0) {
+        toast.success(`Found ${totalWorksheetCount} worksheets across ${analyses.length} files`)
+      }
     } catch (err) {
-      setError(err.message)
-      setStage('idle')
-      toast.error(err.message)
+      handleStepError(err, { step: 'analyze', files: selectedFiles, adding: false }, 'Upload cancelled', err.message)
     }
   }
 
   const handleAddMoreFiles = async (additionalFiles) => {
     try {
+      clearFailedStep()
       setError(null)
-      setStage('upload')
-      setProgress(0)
 
-      // Validate additional files
-      await fileProcessingService.validateMultipleFiles(additionalFiles)
-      setProgress(50)
-
-      setStage('analyze')
-      setProgress(0)
-
-      // Analyze additional workbooks
-      const newAnalyses = await fileProcessingService.analyzeMultipleWorkbooks(additionalFiles)
+      const { analyses: newAnalyses, failures } = await loadFiles(additionalFiles)
       
       const newWorksheetCount = newAnalyses.reduce((total, analysis) => total + analysis.worksheets.length, 0)
       
@@ -87,74 +244,652 @@ const handleFileSelect = async (selectedFiles) => {
       
       setFiles(allFiles)
       setWorkbookAnalyses(allAnalyses)
+      setFailedFiles(prev => [...prev, ...failures])
       setTotalWorksheets(newTotalWorksheets)
+      setSelectedSheets(prev => ({ ...prev, ...selectAllSheets(newAnalyses) }))
       setStage('idle')
       setProgress(100)
 
-      toast.success(`Added ${newWorksheetCount} more worksheets. Total: ${newTotalWorksheets} worksheets`)
+      if (newAnalyses.length > 0) {
+        toast.success(`Added ${newWorksheetCount} more worksheets. Total: ${newTotalWorksheets} worksheets`)
+      }
     } catch (err) {
-      setError(err.message)
-      setStage('idle')
-      toast.error(err.message)
+      handleStepError(err, { step: 'analyze', files: additionalFiles, adding: true }, 'Upload cancelled', err.message)
     }
   }
 
-const handleCombineFiles = async () => {
-    if (!workbookAnalyses.length || totalWorksheets === 0) return
+  // Swaps a file that failed to load for another one; the files already loaded are left alone
+  const handleReplaceFailedFile = async (failure, replacement) => {
+    try {
+      clearFailedStep()
+      setError(null)
+
+      const { analyses, failures } = await loadFiles([replacement])
+
+      setFailedFiles(prev => prev.flatMap(item => (item.file.Id === failure.file.Id ? failures : [item])))
+      if (analyses.length > 0) {
+        setFiles(prev => [...prev, ...analyses.map(a => a.file)])
+        setWorkbookAnalyses(prev => [...prev, ...analyses])
+        setTotalWorksheets(prev => prev + analyses[0].worksheets.length)
+        setSelectedSheets(prev => ({ ...prev, ...selectAllSheets(analyses) }))
+        toast.success(`${replacement.name} loaded`)
+      }
+      setStage('idle')
+      setProgress(100)
+    } catch (err) {
+      handleStepError(err, null, 'Upload cancelled', err.message)
+    }
+  }
 
+  // Opens a password-protected file with the password typed for it; a wrong one keeps it in the failed list
+  const handleUnlockFailedFile = async (failure, password) => {
     try {
+      clearFailedStep()
       setError(null)
-      setStage('combine')
+      setStage('analyze')
       setProgress(0)
+      setBytesProgress(null)
 
-      // Combine all worksheets
-      const combinedWorkbook = await fileProcessingService.combineAllSheets(
-        workbookAnalyses,
-        (progressValue) => {
-          setProgress(progressValue)
-          if (progressValue < 100) {
-            const totalSheets = workbookAnalyses.reduce((total, analysis) => total + analysis.worksheets.length, 0)
-            const currentSheetIndex = Math.floor((progressValue / 100) * totalSheets)
-            let currentSheet = null
-            let runningIndex = 0
-            
-            for (const analysis of workbookAnalyses) {
-              for (const worksheet of analysis.worksheets) {
-                if (runningIndex === currentSheetIndex) {
-                  currentSheet = worksheet.name
-                  break
-                }
-                runningIndex++
-              }
-              if (currentSheet) break
-            }
-            
-            if (currentSheet) {
-              setCurrentWorksheet(currentSheet)
-            }
-          }
+      const analysis = await fileProcessingService.analyzeWorkbook(failure.source, {}, {
+        password,
+        onProgress: reportProgress,
+        signal: startJob()
+      })
+
+      setFailedFiles(prev => prev.filter(item => item.file.Id !== failure.file.Id))
+      setFiles(prev => [...prev, analysis.file])
+      setWorkbookAnalyses(prev => [...prev, analysis])
+      setTotalWorksheets(prev => prev + analysis.worksheets.length)
+      setSelectedSheets(prev => ({ ...prev, ...selectAllSheets([analysis]) }))
+      setStage('idle')
+      setProgress(100)
+      toast.success(`${failure.file.name} unlocked`)
+    } catch (err) {
+      if (err.code !== 'password') {
+        handleStepError(err, null, 'Unlock cancelled', err.message)
+        return
+      }
+      setStage('idle')
+      setFailedFiles(prev => prev.map(item => (
+        item.file.Id === failure.file.Id ? { ...item, error: { code: err.code, message: err.message } } : item
+      )))
+      toast.error(`${failure.file.name}: ${err.message}`)
+    }
+  }
+
+  const handleRemoveFailedFile = (fileId) => {
+    const remaining = failedFiles.filter(failure => failure.file.Id !== fileId)
+    setFailedFiles(remaining)
+
+    if (files.length === 0 && remaining.length === 0) {
+      resetState()
+    }
+  }
+
+  // Analyses narrowed down to the worksheets the user ticked; files with nothing selected drop out.
+  // Their headers are the columns each sheet's filter keeps, which is what every output works from.
+  const selectedAnalyses = useMemo(() => workbookAnalyses
+    .map(analysis => ({
+      ...analysis,
+      worksheets: analysis.worksheets
+        .filter(ws => (selectedSheets[analysis.file.Id] || []).includes(ws.name))
+        .map(ws => ({ ...ws, headers: filterHeaders(ws.headers, sheetFilters[sheetNameKey(analysis.file.Id, ws.name)]) }))
+    }))
+    .filter(analysis => analysis.worksheets.length > 0), [workbookAnalyses, selectedSheets, sheetFilters])
+
+  const previewAnalysis = preview ? workbookAnalyses.find(analysis => analysis.file.Id === preview.fileId) : null
+  const previewWorksheet = previewAnalysis ? previewAnalysis.worksheets.find(ws => ws.name === preview.sheetName) : null
+
+  const filterAnalysis = filterEditor ? workbookAnalyses.find(analysis => analysis.file.Id === filterEditor.fileId) : null
+  const filterWorksheet = filterAnalysis ? filterAnalysis.worksheets.find(ws => ws.name === filterEditor.sheetName) : null
+
+  // Other loaded sheets whose header row is the same, column for column, as the one being filtered
+  const sameHeaderSheets = filterWorksheet
+    ? workbookAnalyses.flatMap(analysis => analysis.worksheets
+      .filter(ws => ws !== filterWorksheet && ws.hasData && ws.headers.join('\u0001') === filterWorksheet.headers.join('\u0001'))
+      .map(ws => sheetNameKey(analysis.file.Id, ws.name)))
+    : []
+
+  // Tab names of the combined workbook, in the same order the worksheets are combined
+  const sheetNames = useMemo(
+    () => buildSheetNames(selectedAnalyses, sheetNameTemplate, sheetNameOverrides),
+    [selectedAnalyses, sheetNameTemplate, sheetNameOverrides]
+  )
+  const sheetNamesValid = sheetNames.every(entry => !entry.error)
+
+  const handleSheetRename = (key, name) => {
+    setSheetNameOverrides(prev => ({ ...prev, [key]: name }))
+  }
+
+  const handleSheetNameReset = (key) => {
+    setSheetNameOverrides(prev => {
+      const { [key]: _reset, ...rest } = prev
+      return rest
+    })
+  }
+
+  const selectedWorksheetCount = selectedAnalyses.reduce((total, analysis) => total + analysis.worksheets.length, 0)
+
+  // Union of the header rows of all selected sheets, the input to the column mapping
+  const sourceHeaders = useMemo(() => (
+    combineMode === 'append' ? fileProcessingService.compareHeaders(selectedAnalyses).columns : []
+  ), [combineMode, selectedAnalyses])
+
+  const columnAlignment = useMemo(() => (
+    combineMode === 'append' ? fileProcessingService.compareHeaders(selectedAnalyses, columnMapping) : null
+  ), [combineMode, selectedAnalyses, columnMapping])
+
+  const columnMappingValid = !columnMapping || (
+    columnMapping.length > 0 &&
+    columnMapping.every(column => column.name.trim()) &&
+    new Set(columnMapping.map(column => column.name.trim().toLowerCase())).size === columnMapping.length
+  )
+
+  // Every selected sheet can be either side of a join; ids combine the file Id and sheet name
+  const joinableSheets = useMemo(() => (
+    combineMode === 'join'
+      ? selectedAnalyses.flatMap(analysis => analysis.worksheets.map(worksheet => ({
+        id: `${analysis.file.Id}::${worksheet.name}`,
+        label: `${analysis.file.name} › ${worksheet.name}`,
+        headers: worksheet.headers,
+        analysis,
+        sheetName: worksheet.name
+      })))
+      : []
+  ), [combineMode, selectedAnalyses])
+
+  // Any selected sheet can be split by one of its columns or into parts; ids are built like the join ones
+  const splittableSheets = useMemo(() => (
+    splitBy !== 'sheets'
+      ? selectedAnalyses.flatMap(analysis => analysis.worksheets.map(worksheet => ({
+        id: `${analysis.file.Id}::${worksheet.name}`,
+        label: `${analysis.file.name} › ${worksheet.name}`,
+        headers: worksheet.headers,
+        dataRowCount: worksheet.dataRowCount,
+        analysis,
+        sheetName: worksheet.name
+      })))
+      : []
+  ), [splitBy, selectedAnalyses])
+
+  const splitSheet = splittableSheets.find(sheet => sheet.id === splitSheetId)
+  const columnSplitReady = !!splitSheet && !!columnSplit.column && !!columnSplit.namePattern.trim()
+  const chunkSplitReady = !!splitSheet && !!splitNamePattern.trim() && (chunkSplit.by === 'rows'
+    ? Number.isInteger(chunkSplit.rowsPerPart) && chunkSplit.rowsPerPart >= 1
+    : chunkSplit.maxMegabytes > 0)
+  const splitReady = splitBy === 'column' ? columnSplitReady : splitBy === 'chunks' ? chunkSplitReady : !!splitNamePattern.trim()
+
+  const handleSplitSheetChange = (sheetId) => {
+    setSplitSheetId(sheetId)
+    setColumnSplit(prev => ({ ...prev, column: '' }))
+  }
+
+  // The group counts come from the worker; a reply for an earlier choice is ignored
+  useEffect(() => {
+    setColumnGroups(null)
+    setColumnGroupsError(null)
+    if (splitBy !== 'column' || !splitSheet || !columnSplit.column) return
+
+    let current = true
+    fileProcessingService.previewColumnGroups(splitSheet.analysis.file.Id, splitSheet.sheetName, columnSplit.column, sheetFilters)
+      .then(groups => current && setColumnGroups(groups))
+      .catch(err => current && setColumnGroupsError(err.message))
+    return () => {
+      current = false
+    }
+  }, [splitBy, splitSheet?.analysis.file.Id, splitSheet?.sheetName, columnSplit.column, sheetFilters])
+
+  // Parts are previewed from the rows the split sheet's filter keeps; a reply for an earlier choice is ignored
+  const splitSheetFilter = splitSheet ? sheetFilters[sheetNameKey(splitSheet.analysis.file.Id, splitSheet.sheetName)] : null
+  useEffect(() => {
+    setSplitRowCount(null)
+    if (splitBy !== 'chunks' || !splitSheet || !isFilterActive(splitSheetFilter)) return
+
+    let current = true
+    fileProcessingService.countFilteredRows(splitSheet.analysis.file.Id, splitSheet.sheetName, splitSheetFilter)
+      .then(counts => current && setSplitRowCount(counts.keptRows))
+      .catch(() => {})
+    return () => {
+      current = false
+    }
+  }, [splitBy, splitSheet?.analysis.file.Id, splitSheet?.sheetName, splitSheetFilter])
+
+  const splitOptionSheets = splitRowCount === null
+    ? splittableSheets
+    : splittableSheets.map(sheet => (sheet === splitSheet ? { ...sheet, dataRowCount: splitRowCount, filtered: true } : sheet))
+
+  const joinLeft = joinableSheets.find(sheet => sheet.id === joinConfig.leftId)
+  const joinRight = joinableSheets.find(sheet => sheet.id === joinConfig.rightId)
+  const joinReady = !!joinLeft && !!joinRight && joinConfig.keys.length > 0
+
+  const handleMapColumnsChange = (enabled) => {
+    setColumnMapping(enabled ? suggestColumnMapping(sourceHeaders) : null)
+  }
+
+  const handleSheetSelectionChange = (fileId, sheetName, checked) => {
+    setSelectedSheets(prev => {
+      const current = (prev[fileId] || []).filter(name => name !== sheetName)
+      return { ...prev, [fileId]: checked ? [...current, sheetName] : current }
+    })
+  }
+
+  const handleSelectFile = (analysis, selectAll) => {
+    setSelectedSheets(prev => ({
+      ...prev,
+      [analysis.file.Id]: selectAll ? dataSheetNames(analysis) : []
+    }))
+  }
+
+  const handleSelectAllFiles = (selectAll) => {
+    setSelectedSheets(selectAll ? selectAllSheets(workbookAnalyses) : {})
+  }
+
+  // Re-reads a CSV/TSV upload with a different delimiter or encoding
+  const handleTextImportChange = async (analysis, textOptions) => {
+    if (jobQueueService.usesFile(analysis.file.Id)) {
+      toast.warning(`${analysis.file.name} is still needed by a queued job`)
+      return
+    }
+
+    try {
+      const updated = await fileProcessingService.analyzeWorkbook(analysis.source, {
+        delimiter: analysis.textImport.delimiter,
+        encoding: analysis.textImport.encoding,
+        ...textOptions
+      }, { fileId: analysis.file.Id })
+
+      setWorkbookAnalyses(prev => prev.map(item => (item.file.Id === analysis.file.Id ? updated : item)))
+      setFiles(prev => prev.map(file => (file.Id === analysis.file.Id ? updated.file : file)))
+      setSelectedSheets(prev => ({ ...prev, ...selectAllSheets([updated]) }))
+    } catch (err) {
+      toast.error(`${analysis.file.name}: ${err.message}`)
+    }
+  }
+
+  // The order of workbookAnalyses is the output order, for combining and for the split ZIP alike
+  const applyOrder = (orderedAnalyses) => {
+    setWorkbookAnalyses(orderedAnalyses)
+    setFiles(orderedAnalyses.map(analysis => analysis.file))
+  }
+
+  const handleMoveFile = (draggedFileId, targetFileId) => {
+    const fromIndex = workbookAnalyses.findIndex(analysis => analysis.file.Id === draggedFileId)
+    const toIndex = workbookAnalyses.findIndex(analysis => analysis.file.Id === targetFileId)
+    if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return
+    applyOrder(moveItem(workbookAnalyses, fromIndex, toIndex))
+  }
+
+  const handleMoveSheet = (fileId, fromIndex, toIndex) => {
+    applyOrder(workbookAnalyses.map(analysis => (
+      analysis.file.Id === fileId
+        ? { ...analysis, worksheets: moveItem(analysis.worksheets, fromIndex, toIndex) }
+        : analysis
+    )))
+  }
+
+  const handleSort = (sortBy) => {
+    applyOrder(sortAnalyses(workbookAnalyses, sortBy))
+  }
+
+  const togglePreview = (fileId, sheetName) => {
+    setPreview(prev => (prev && prev.fileId === fileId && prev.sheetName === sheetName ? null : { fileId, sheetName }))
+  }
+
+  const toggleFilterEditor = (fileId, sheetName) => {
+    setFilterEditor(prev => (prev && prev.fileId === fileId && prev.sheetName === sheetName ? null : { fileId, sheetName }))
+  }
+
+  // A filter that keeps everything is dropped rather than stored
+  const handleFilterChange = (key, filter) => {
+    setSheetFilters(prev => {
+      const { [key]: _previous, ...rest } = prev
+      return isFilterActive(filter) ? { ...rest, [key]: filter } : rest
+    })
+  }
+
+  const handleApplyFilterToMatching = () => {
+    const filter = sheetFilters[sheetNameKey(filterEditor.fileId, filterEditor.sheetName)]
+    sameHeaderSheets.forEach(key => handleFilterChange(key, filter))
+    toast.success(`Filter applied to ${sameHeaderSheets.length} more ${sameHeaderSheets.length === 1 ? 'sheet' : 'sheets'}`)
+  }
+
+  const handleCreatePreset = (name) => createPreset(name, {
+    combineMode,
+    outputFormat,
+    sheetNameTemplate,
+    addSourceColumns,
+    columnMapping,
+    dedupeOptions,
+    addIndexSheet,
+    addBackLinks,
+    splitBy,
+    splitFormat,
+    splitNamePattern,
+    columnSplit,
+    chunkSplit,
+    pdfOptions,
+    protection,
+    joinConfig,
+    splitSheetId,
+    selectedSheets,
+    sheetNameOverrides,
+    sheetFilters
+  }, workbookAnalyses)
+
+  // Settings a preset leaves out (one saved by an older version) keep their current value
+  const handleLoadPreset = (preset) => {
+    const { state, warnings } = resolvePreset(preset, workbookAnalyses)
+    const setters = {
+      combineMode: setCombineMode,
+      outputFormat: setOutputFormat,
+      sheetNameTemplate: setSheetNameTemplate,
+      addSourceColumns: setAddSourceColumns,
+      columnMapping: setColumnMapping,
+      dedupeOptions: setDedupeOptions,
+      addIndexSheet: setAddIndexSheet,
+      addBackLinks: setAddBackLinks,
+      splitBy: setSplitBy,
+      splitFormat: setSplitFormat,
+      splitNamePattern: setSplitNamePattern,
+      columnSplit: setColumnSplit,
+      chunkSplit: setChunkSplit,
+      pdfOptions: setPdfOptions,
+      joinConfig: setJoinConfig,
+      splitSheetId: setSplitSheetId,
+      selectedSheets: setSelectedSheets,
+      sheetNameOverrides: setSheetNameOverrides,
+      sheetFilters: setSheetFilters
+    }
+    Object.entries(setters).forEach(([key, setter]) => {
+      if (state[key] !== undefined) setter(state[key])
+    })
+    setProtection(prev => ({ ...prev, ...state.protection }))
+    setPresetWarnings(warnings)
+
+    if (warnings.length > 0) {
+      toast.warning(`Preset "${preset.name}" loaded with ${warnings.length} ${warnings.length === 1 ? 'problem' : 'problems'}`)
+    } else {
+      toast.success(`Preset "${preset.name}" loaded`)
+    }
+  }
+
+  const toggleFileExpanded = (fileId) => {
+    setExpandedFiles(prev => ({ ...prev, [fileId]: !prev[fileId] }))
+  }
+
+  // Everything a combine or split needs, fixed when it is started or queued: a queued job runs with
+  // these even if the page has moved on. Only the filters of the selected sheets are passed along.
+  const buildJobSettings = (type) => {
+    const selectedKeys = new Set(selectedAnalyses.flatMap(analysis => (
+      analysis.worksheets.map(worksheet => sheetNameKey(analysis.file.Id, worksheet.name))
+    )))
+    const macroSources = selectedAnalyses.filter(analysis => analysis.hasMacros)
+
+    // Qualify the join sheets with their file name only when both sides share a sheet name
+    const sameName = joinReady && joinLeft.sheetName === joinRight.sheetName
+    const joinSide = (sheet) => ({
+      fileId: sheet.analysis.file.Id,
+      sheetName: sheet.sheetName,
+      label: sameName ? `${getBaseName(sheet.analysis.file.name)} ${sheet.sheetName}` : sheet.sheetName
+    })
+
+    return {
+      type,
+      analyses: selectedAnalyses,
+      filters: Object.fromEntries(Object.entries(sheetFilters).filter(([key]) => selectedKeys.has(key))),
+      worksheetCount: selectedWorksheetCount,
+      combineMode,
+      outputFormat,
+      sheetNames: sheetNames.map(entry => entry.name),
+      addIndexSheet,
+      // CSV and JSON have no links, so a back link would only be a stray cell of text
+      backLinks: addIndexSheet && addBackLinks && !['csv', 'json'].includes(outputFormat),
+      addSourceColumns,
+      columnMapping: columnMapping && columnMapping.map(column => ({ ...column, name: column.name.trim() })),
+      dedupe: dedupeOptions,
+      join: combineMode === 'join' && joinReady
+        ? {
+          left: joinSide(joinLeft),
+          right: joinSide(joinRight),
+          labels: [joinLeft.label, joinRight.label],
+          keys: joinConfig.keys,
+          type: joinConfig.type,
+          includeTabs: joinConfig.includeTabs
         }
-      )
+        : null,
+      protection,
+      macroSourceId: macroSources.length > 0 ? macroSources[0].file.Id : null,
+      macroSourceNames: macroSources.map(analysis => analysis.file.name),
+      baseFileName: files.length > 0 ? getBaseName(files[0].name) : 'combined',
+      splitBy,
+      splitFormat,
+      namePattern: splitNamePattern,
+      columnSplit,
+      chunkSplit: {
+        by: chunkSplit.by,
+        rowsPerPart: chunkSplit.rowsPerPart,
+        maxBytes: Math.floor(chunkSplit.maxMegabytes * 1024 * 1024)
+      },
+      pdfOptions,
+      splitSheet: splitSheet
+        ? { fileId: splitSheet.analysis.file.Id, sheetName: splitSheet.sheetName, fileName: splitSheet.analysis.file.name }
+        : null
+    }
+  }
 
+  // Why the combine settings can't run as they are, or null
+  const combineProblem = () => {
+    if (combineMode === 'append' && !columnMappingValid) {
+      return 'Every mapped column needs a unique name'
+    }
+    if (combineMode === 'join' && !joinReady) {
+      return 'Choose a left sheet, a right sheet and at least one key column'
+    }
+    if ((combineMode === 'sheets' || (combineMode === 'join' && joinConfig.includeTabs)) && !sheetNamesValid) {
+      return 'Some tab names are not valid in Excel'
+    }
+    if (!['xlsx', 'xlsm'].includes(outputFormat)) {
+      if (protection.password !== null || protection.lockStructure || protection.lockSheets) {
+        return `${outputFormat.toUpperCase()} files can't be password protected or locked; choose .xlsx or .xlsm, or remove the protection`
+      }
+    } else if (protection.password === '') {
+      return 'Enter a password to open the file, or untick the option'
+    }
+    return null
+  }
+
+  // Progress of one step shown on the page, and as its share of the whole job in the queue list
+  const trackProgress = (job, start, share) => (progressValue, details) => {
+    reportProgress(progressValue, details)
+    jobQueueService.reportProgress(job.Id, Math.round(start + (progressValue / 100) * share))
+  }
+
+  const handleCombineFiles = async () => {
+    if (!selectedAnalyses.length || selectedWorksheetCount === 0) return
+    const problem = combineProblem()
+    if (problem) {
+      toast.error(problem)
+      return
+    }
+
+    clearFailedStep()
+    setError(null)
+    setProcessMode('combine')
+    setStage('combine')
+    setProgress(0)
+    setCombineReport(null)
+
+    const settings = buildJobSettings('combine')
+    const job = jobQueueService.begin(settings, handleCancel)
+    const signal = startJob()
+    let result
+
+    try {
+      // Combine all worksheets as separate tabs, stacked into one table, or joined on key columns
+      if (combineMode === 'join') {
+        setCurrentWorksheet(`${joinLeft.sheetName} + ${joinRight.sheetName}`)
+      }
+      result = await fileProcessingService.runCombineJob(settings, { onProgress: trackProgress(job, 0, 80), signal })
+    } catch (err) {
+      jobQueueService.fail(job.Id, err)
+      handleStepError(err, { step: 'combine' }, 'Combine cancelled', 'Failed to combine files')
+      return
+    }
+
+    setCombineReport(result.report)
+    if (result.report?.mismatched) {
+      toast.warning('Some worksheets have missing or extra columns; blanks were left where values were missing')
+    }
+
+    await generateCombinedFile(result.workbook, settings, job)
+  }
+
+  // Writes the combined workbook out; when only this fails, Retry starts again from here
+  const generateCombinedFile = async (combinedWorkbook, settings, job) => {
+    const signal = startJob()
+
+    try {
       setStage('download')
       setProgress(0)
 
-      // Generate combined Excel file
-      const baseFileName = files.length > 0 ? files[0].name.replace(/\.[^/.]+$/, '') : 'combined'
-      const download = await fileProcessingService.generateCombinedExcel(combinedWorkbook, baseFileName)
+      // Generate the combined file in the chosen format
+      const download = await fileProcessingService.writeCombineJob(settings, combinedWorkbook, {
+        onProgress: trackProgress(job, 80, 20),
+        signal
+      })
+
+      if (download.macrosKept && settings.macroSourceNames.length > 1) {
+        toast.warning(`Only the macros from ${settings.macroSourceNames[0]} were kept; a workbook can hold one VBA project`)
+      }
       
       setDownloadReady(download)
       setStage('complete')
       setProgress(100)
+      jobQueueService.complete(job.Id, download)
 
-      toast.success(`${totalWorksheets} worksheets combined successfully! Ready for download.`)
+      toast.success(`${settings.worksheetCount} worksheets combined successfully! Ready for download.`)
     } catch (err) {
-      setError(err.message)
-      setStage('idle')
-      toast.error('Failed to combine files')
+      jobQueueService.fail(job.Id, err)
+      handleStepError(err, { step: 'combineDownload', result: combinedWorkbook, settings }, 'Combine cancelled', 'Failed to create the combined file')
+    }
+  }
+
+  const handleSplitFiles = async () => {
+    if (!selectedAnalyses.length || selectedWorksheetCount === 0 || !splitReady) return
+
+    clearFailedStep()
+    setError(null)
+    setProcessMode('split')
+    setStage('split')
+    setProgress(0)
+
+    const settings = buildJobSettings('split')
+    const job = jobQueueService.begin(settings, handleCancel)
+    const signal = startJob()
+    let zip
+
+    try {
+      setCurrentWorksheet(splitSheet ? splitSheet.sheetName : selectedAnalyses[0].worksheets[0].name)
+      zip = await fileProcessingService.runSplitJob(settings, { onProgress: trackProgress(job, 0, 80), signal })
+    } catch (err) {
+      jobQueueService.fail(job.Id, err)
+      handleStepError(err, { step: 'split' }, 'Split cancelled', 'Failed to split worksheets')
+      return
+    }
+
+    await packageSplitFiles(zip, settings, job)
+  }
+
+  const packageSplitFiles = async (zip, settings, job) => {
+    const signal = startJob()
+
+    try {
+      setStage('download')
+      setProgress(0)
+
+      const download = await fileProcessingService.packageSplitJob(settings, zip, {
+        onProgress: trackProgress(job, 80, 20),
+        signal
+      })
+
+      setDownloadReady(download)
+      setStage('complete')
+      setProgress(100)
+      jobQueueService.complete(job.Id, download)
+
+      const format = settings.splitFormat.toUpperCase()
+      toast.success(settings.splitBy === 'sheets'
+        ? `${settings.worksheetCount} worksheets split into ${format} files! Ready for download.`
+        : `${settings.splitSheet.sheetName} split into ${download.fileCount} ${format} files! Ready for download.`)
+    } catch (err) {
+      jobQueueService.fail(job.Id, err)
+      handleStepError(err, { step: 'splitDownload', result: zip, settings }, 'Split cancelled', 'Failed to package the split files')
+    }
+  }
+
+  // Queued jobs run one after another in the background, each with the settings it was queued with
+  const handleQueueJob = (type) => {
+    const problem = type === 'combine' ? combineProblem() : null
+    if (problem) {
+      toast.error(problem)
+      return
+    }
+
+    jobQueueService.enqueue(buildJobSettings(type))
+    toast.info(`${type === 'split' ? 'Split' : 'Combine'} job added to the queue`)
+  }
+
+  const handleDownloadJob = async (job) => {
+    try {
+      await jobQueueService.download(job)
+    } catch (err) {
+      toast.error(err.message)
+    }
+  }
+
+  // Runs the failed step again with everything that came before it kept; a retried write is a new job
+  const handleDeleteJob = async (job) => {
+    try {
+      await jobQueueService.remove(job.Id)
+    } catch (err) {
+      toast.error(err.message)
     }
   }
 
+  // The worker runs one job at a time, so a retry waits until the queue is idle
+  const handleRetry = () => {
+    if (jobQueueService.isBusy()) {
+      toast.warning('Wait for the queued jobs to finish, or cancel them, before retrying')
+      return
+    }
+    const failed = failedStep
+    setFailedStep(null)
+    setError(null)
+
+    if (failed.step === 'analyze') {
+      if (failed.adding) {
+        handleAddMoreFiles(failed.files)
+      } else {
+        handleFileSelect(failed.files)
+      }
+    } else if (failed.step === 'combine') {
+      handleCombineFiles()
+    } else if (failed.step === 'combineDownload') {
+      setProcessMode('combine')
+      generateCombinedFile(failed.result, failed.settings, jobQueueService.begin(failed.settings, handleCancel))
+    } else if (failed.step === 'split') {
+      handleSplitFiles()
+    } else if (failed.step === 'splitDownload') {
+      setProcessMode('split')
+      packageSplitFiles(failed.result, failed.settings, jobQueueService.begin(failed.settings, handleCancel))
+    }
+  }
+
+  const handleDismissError = () => {
+    clearFailedStep()
+    setError(null)
+  }
+
   const handleDownload = () => {
     if (downloadReady) {
       fileProcessingService.downloadFile(downloadReady.blob, downloadReady.fileName)
@@ -162,21 +897,26 @@ const handleCombineFiles = async () => {
     }
   }
 
-  const formatFileSize = (bytes) => {
-    const mb = bytes / (1024 * 1024)
-    return mb < 1 ? `${(bytes / 1024).toFixed(0)}KB` : `${mb.toFixed(1)}MB`
-}
-
 const handleRemoveFile = (fileId) => {
+    if (jobQueueService.usesFile(fileId)) {
+      toast.warning('This file is still needed by a queued job; wait for it to run or cancel it first')
+      return
+    }
+
     const updatedAnalyses = workbookAnalyses.filter(analysis => analysis.file.Id !== fileId)
     const updatedFiles = files.filter(file => file.Id !== fileId)
     const newTotalWorksheets = updatedAnalyses.reduce((total, analysis) => total + analysis.worksheets.length, 0)
     
+    fileProcessingService.releaseWorkbooks([fileId])
     setWorkbookAnalyses(updatedAnalyses)
     setFiles(updatedFiles)
     setTotalWorksheets(newTotalWorksheets)
+    setSelectedSheets(prev => {
+      const { [fileId]: _removed, ...rest } = prev
+      return rest
+    })
     
-    if (updatedFiles.length === 0) {
+    if (updatedFiles.length === 0 && failedFiles.length === 0) {
       resetState()
     }
     
@@ -187,7 +927,7 @@ return (
     <div className="space-y-8">
       {/* Upload Section */}
       <AnimatePresence mode="wait">
-        {stage === 'idle' && files.length === 0 && (
+        {stage === 'idle' && files.length === 0 && failedFiles.length === 0 && (
           <motion.div
             key="upload-zone"
             initial={{ opacity: 0, y: 20 }}
@@ -201,7 +941,7 @@ return (
             />
           </motion.div>
         )}
-        {(stage === 'upload' || stage === 'analyze' || stage === 'combine' || stage === 'download') && (
+        {(stage === 'upload' || stage === 'analyze' || stage === 'combine' || stage === 'split' || stage === 'download') && (
           <motion.div
             key="processing"
             initial={{ opacity: 0, y: 20 }}
@@ -211,9 +951,12 @@ return (
           >
             <ProcessingStatus
               stage={stage}
+              mode={processMode}
               progress={progress}
-              worksheetCount={totalWorksheets}
+              worksheetCount={stage === 'combine' || stage === 'split' ? selectedWorksheetCount : totalWorksheets}
               currentWorksheet={currentWorksheet}
+              bytesProgress={stage === 'analyze' ? bytesProgress : null}
+              onCancel={stage === 'upload' ? null : handleCancel}
             />
           </motion.div>
         )}
@@ -231,21 +974,55 @@ return (
             <div>
               <h4 className="font-medium text-red-800">Error Processing File</h4>
               <p className="text-red-700 mt-1">{error}</p>
-              <Button
-                variant="ghost"
-                size="sm"
-                className="mt-2 text-red-700 hover:bg-red-100"
-                onClick={resetState}
-              >
-                Try Again
-              </Button>
+              <div className="flex flex-wrap gap-2 mt-2">
+                {failedStep && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    icon="RotateCcw"
+                    className="text-red-700 hover:bg-red-100"
+                    onClick={handleRetry}
+                    disabled={queueBusy}
+                  >
+                    Retry
+                  </Button>
+                )}
+                {files.length > 0 && (
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="text-red-700 hover:bg-red-100"
+                    onClick={handleDismissError}
+                  >
+                    Back to Files
+                  </Button>
+                )}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="text-red-700 hover:bg-red-100"
+                  onClick={handleStartOver}
+                >
+                  Start Over
+                </Button>
+              </div>
             </div>
           </div>
 </motion.div>
       )}
 
+      {/* This session's jobs */}
+      {sessionJobs.length > 0 && (
+        <JobQueuePanel
+          jobs={sessionJobs}
+          onCancel={(job) => jobQueueService.cancel(job.Id)}
+          onDownload={handleDownloadJob}
+          onDelete={handleDeleteJob}
+        />
+      )}
+
       {/* Files Info & Upload Additional */}
-      {files.length > 0 && stage !== 'combine' && stage !== 'download' && (
+      {(files.length > 0 || failedFiles.length > 0) && stage !== 'combine' && stage !== 'split' && stage !== 'download' && (
         <motion.div
           initial={{ opacity: 0, y: 20 }}
           animate={{ opacity: 1, y: 0 }}
@@ -259,12 +1036,18 @@ return (
                 
                 <div className="flex-1 min-w-0">
                   <h3 className="font-medium text-surface-900">
-                    {files.length} Excel {files.length === 1 ? 'File' : 'Files'} Selected
+                    {files.length} {files.length === 1 ? 'File' : 'Files'} Selected
                   </h3>
                   <div className="flex items-center space-x-4 mt-1 text-sm text-surface-600">
                     <span>{formatFileSize(files.reduce((total, file) => total + file.size, 0))}</span>
                     <span>•</span>
                     <span>{totalWorksheets} total worksheets</span>
+                    {failedFiles.length > 0 && (
+                      <>
+                        <span>•</span>
+                        <span className="text-red-600">{failedFiles.length} could not be loaded</span>
+                      </>
+                    )}
                   </div>
                 </div>
               </div>
@@ -283,7 +1066,7 @@ return (
                   variant="ghost"
                   size="sm"
                   icon="X"
-                  onClick={resetState}
+                  onClick={handleStartOver}
                 >
                   Clear All
                 </Button>
@@ -291,40 +1074,106 @@ return (
             </div>
             
             {/* Individual File List */}
-            <div className="mt-4 space-y-2">
-              {files.map((file, index) => {
-                const analysis = workbookAnalyses[index]
-                const worksheetCount = analysis ? analysis.worksheets.length : 0
-                
-                return (
-                  <div key={file.Id} className="flex items-center justify-between py-2 px-3 bg-surface-50 rounded-lg">
-                    <div className="flex items-center space-x-3 flex-1 min-w-0">
-                      <ApperIcon name="FileSpreadsheet" size={16} className="text-surface-500 flex-shrink-0" />
-                      <div className="flex-1 min-w-0">
-                        <div className="text-sm font-medium text-surface-900 truncate">{file.name}</div>
-                        <div className="text-xs text-surface-600">
-                          {formatFileSize(file.size)} • {worksheetCount} worksheets
-                        </div>
-                      </div>
-                    </div>
-                    <Button
-                      variant="ghost"
-                      size="xs"
-                      icon="X"
-                      onClick={() => handleRemoveFile(file.Id)}
-                      className="text-surface-400 hover:text-surface-600"
-                    />
-                  </div>
-)
-              })}
+            <div className="mt-4 flex items-center justify-between text-sm">
+              <span className="text-surface-600">
+                {selectedWorksheetCount} of {totalWorksheets} worksheets selected • drag files and worksheets to set the output order
+              </span>
+              <div className="flex items-center space-x-2">
+                <select
+                  value=""
+                  onChange={(e) => handleSort(e.target.value)}
+                  disabled={stage !== 'idle'}
+                  aria-label="Sort files and worksheets"
+                  className="rounded-lg border border-surface-300 px-2 py-1 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary/20"
+                >
+                  <option value="" disabled>Sort by…</option>
+                  {SORT_OPTIONS.map(option => (
+                    <option key={option.key} value={option.key}>{option.label}</option>
+                  ))}
+                </select>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleSelectAllFiles(true)}
+                  disabled={stage !== 'idle' || selectedWorksheetCount === totalWorksheets}
+                >
+                  Select All
+                </Button>
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => handleSelectAllFiles(false)}
+                  disabled={stage !== 'idle' || selectedWorksheetCount === 0}
+                >
+                  Select None
+                </Button>
+              </div>
             </div>
+            <div className="mt-2 space-y-2">
+              {failedFiles.map((failure) => (
+                <FailedFileItem
+                  key={failure.file.Id}
+                  failure={failure}
+                  onReplace={(replacement) => handleReplaceFailedFile(failure, replacement)}
+                  onUnlock={(password) => handleUnlockFailedFile(failure, password)}
+                  onRemove={() => handleRemoveFailedFile(failure.file.Id)}
+                  disabled={stage !== 'idle'}
+                />
+              ))}
+              {workbookAnalyses.map((analysis) => (
+                <WorkbookFileItem
+                  key={analysis.file.Id}
+                  analysis={analysis}
+                  selectedSheets={selectedSheets[analysis.file.Id] || []}
+                  expanded={!!expandedFiles[analysis.file.Id]}
+                  onToggleExpand={() => toggleFileExpanded(analysis.file.Id)}
+                  onSheetSelectionChange={(sheetName, checked) => handleSheetSelectionChange(analysis.file.Id, sheetName, checked)}
+                  onSelectAll={(selectAll) => handleSelectFile(analysis, selectAll)}
+                  onRemove={() => handleRemoveFile(analysis.file.Id)}
+                  onTextImportChange={(textOptions) => handleTextImportChange(analysis, textOptions)}
+                  previewSheet={preview?.fileId === analysis.file.Id ? preview.sheetName : null}
+                  onPreviewSheet={(sheetName) => togglePreview(analysis.file.Id, sheetName)}
+                  filterSheet={filterEditor?.fileId === analysis.file.Id ? filterEditor.sheetName : null}
+                  sheetFilters={Object.fromEntries(analysis.worksheets.map(ws => [ws.name, sheetFilters[sheetNameKey(analysis.file.Id, ws.name)]]))}
+                  onFilterSheet={(sheetName) => toggleFilterEditor(analysis.file.Id, sheetName)}
+                  onMoveFile={(draggedFileId) => handleMoveFile(draggedFileId, analysis.file.Id)}
+                  onMoveSheet={(fromIndex, toIndex) => handleMoveSheet(analysis.file.Id, fromIndex, toIndex)}
+                  disabled={stage !== 'idle'}
+                />
+              ))}
+            </div>
+            {/* A re-imported CSV gets a new upload time, which starts the grid over */}
+            {previewAnalysis && previewWorksheet && (
+              <SheetPreview
+                key={`${previewAnalysis.file.Id}:${previewAnalysis.file.uploadTime}:${previewWorksheet.name}`}
+                fileId={previewAnalysis.file.Id}
+                fileName={previewAnalysis.file.name}
+                worksheet={previewWorksheet}
+                onClose={() => setPreview(null)}
+                className="mt-4"
+              />
+            )}
+            {filterAnalysis && filterWorksheet && (
+              <SheetFilterEditor
+                key={`${filterAnalysis.file.Id}:${filterAnalysis.file.uploadTime}:${filterWorksheet.name}`}
+                fileId={filterAnalysis.file.Id}
+                fileName={filterAnalysis.file.name}
+                worksheet={filterWorksheet}
+                filter={sheetFilters[sheetNameKey(filterAnalysis.file.Id, filterWorksheet.name)]}
+                onChange={(filter) => handleFilterChange(sheetNameKey(filterAnalysis.file.Id, filterWorksheet.name), filter)}
+                matchingSheetCount={sameHeaderSheets.length}
+                onApplyToMatching={handleApplyFilterToMatching}
+                onClose={() => setFilterEditor(null)}
+                className="mt-4"
+              />
+            )}
           </div>
 
           {/* Combine Action */}
           <div className="space-y-4">
             <div className="flex items-center justify-between">
               <h3 className="text-lg font-medium text-surface-900">
-                Ready to Combine ({totalWorksheets} worksheets)
+                Ready to Process ({selectedWorksheetCount} worksheets)
               </h3>
               
               {stage === 'complete' && downloadReady ? (
@@ -339,36 +1188,139 @@ return (
                     onClick={handleDownload}
                     className="animate-pulse-success"
                   >
-                    Download Combined File ({formatFileSize(downloadReady.size)})
+                    {processMode === 'split' ? 'Download Split Files' : 'Download Combined File'} ({formatFileSize(downloadReady.size)})
                   </Button>
                   <Button
                     variant="ghost"
                     icon="RotateCcw"
-                    onClick={resetState}
+                    onClick={handleStartOver}
                   >
                     Process More Files
                   </Button>
                 </motion.div>
               ) : (
-                <Button
-                  variant="primary"
-                  icon="Merge"
-                  onClick={handleCombineFiles}
-                  disabled={stage !== 'idle' || totalWorksheets === 0}
-                >
-                  Combine All Files
-                </Button>
+                <div className="flex flex-wrap items-center justify-end gap-3">
+                  <Button
+                    variant="ghost"
+                    icon="ListPlus"
+                    onClick={() => handleQueueJob('split')}
+                    disabled={stage !== 'idle' || selectedWorksheetCount === 0 || !splitReady}
+                    title="Run after the jobs already queued"
+                  >
+                    Queue Split
+                  </Button>
+                  <Button
+                    variant="ghost"
+                    icon="ListPlus"
+                    onClick={() => handleQueueJob('combine')}
+                    disabled={stage !== 'idle' || selectedWorksheetCount === 0 || (combineMode === 'append' && !columnMappingValid) || (combineMode === 'join' && !joinReady)}
+                    title="Run after the jobs already queued"
+                  >
+                    Queue Combine
+                  </Button>
+                  <Button
+                    variant="outline"
+                    icon="Split"
+                    onClick={handleSplitFiles}
+                    disabled={stage !== 'idle' || queueBusy || selectedWorksheetCount === 0 || !splitReady}
+                  >
+                    Split Worksheets
+                  </Button>
+                  <Button
+                    variant="primary"
+                    icon="Merge"
+                    onClick={handleCombineFiles}
+                    disabled={stage !== 'idle' || queueBusy || selectedWorksheetCount === 0 || (combineMode === 'append' && !columnMappingValid) || (combineMode === 'join' && !joinReady)}
+                  >
+                    Combine All Files
+                  </Button>
+                </div>
               )}
             </div>
 
+            {stage !== 'complete' && (
+              <PresetManager
+                onCreatePreset={handleCreatePreset}
+                onLoadPreset={handleLoadPreset}
+                warnings={presetWarnings}
+                onDismissWarnings={() => setPresetWarnings([])}
+                disabled={stage !== 'idle'}
+              />
+            )}
+
+            {stage !== 'complete' && (
+              <CombineOptions
+                mode={combineMode}
+                outputFormat={outputFormat}
+                onOutputFormatChange={setOutputFormat}
+                protection={protection}
+                onProtectionChange={setProtection}
+                addSourceColumns={addSourceColumns}
+                mapColumns={!!columnMapping}
+                alignment={columnAlignment}
+                dedupe={dedupeOptions}
+                onDedupeChange={setDedupeOptions}
+                joinSheets={joinableSheets}
+                joinConfig={joinConfig}
+                onJoinConfigChange={setJoinConfig}
+                addIndexSheet={addIndexSheet}
+                onAddIndexSheetChange={setAddIndexSheet}
+                addBackLinks={addBackLinks}
+                onAddBackLinksChange={setAddBackLinks}
+                sheetNameTemplate={sheetNameTemplate}
+                onSheetNameTemplateChange={setSheetNameTemplate}
+                sheetNames={sheetNames}
+                onSheetRename={handleSheetRename}
+                onSheetNameReset={handleSheetNameReset}
+                onModeChange={setCombineMode}
+                onAddSourceColumnsChange={setAddSourceColumns}
+                onMapColumnsChange={handleMapColumnsChange}
+                disabled={stage !== 'idle'}
+              />
+            )}
+
+            {stage !== 'complete' && combineMode === 'append' && columnMapping && (
+              <ColumnMappingEditor
+                headers={sourceHeaders}
+                columns={columnMapping}
+                onChange={setColumnMapping}
+                disabled={stage !== 'idle'}
+              />
+            )}
+
+            {stage !== 'complete' && (
+              <SplitOptions
+                splitBy={splitBy}
+                onSplitByChange={setSplitBy}
+                sheets={splitOptionSheets}
+                sheetId={splitSheetId}
+                onSheetChange={handleSplitSheetChange}
+                columnSplit={columnSplit}
+                onColumnSplitChange={setColumnSplit}
+                chunkSplit={chunkSplit}
+                onChunkSplitChange={setChunkSplit}
+                columnGroups={columnGroups}
+                columnGroupsError={columnGroupsError}
+                format={splitFormat}
+                namePattern={splitNamePattern}
+                onFormatChange={setSplitFormat}
+                onNamePatternChange={setSplitNamePattern}
+                pdfOptions={pdfOptions}
+                onPdfOptionsChange={setPdfOptions}
+                disabled={stage !== 'idle'}
+              />
+            )}
+
             {/* Files Preview */}
             {stage !== 'complete' && (
               <div className="bg-surface-50 rounded-lg p-4">
                 <div className="text-sm text-surface-600 mb-3">
-                  All worksheets from the following files will be combined:
+                  {selectedWorksheetCount > 0
+                    ? 'The selected worksheets from the following files will be combined or split:'
+                    : 'Select at least one worksheet to combine or split.'}
                 </div>
                 <div className="space-y-2">
-                  {workbookAnalyses.map((analysis, index) => (
+                  {selectedAnalyses.map((analysis) => (
                     <div key={analysis.file.Id} className="flex items-center justify-between text-sm">
                       <div className="flex items-center space-x-2">
                         <ApperIcon name="FileSpreadsheet" size={14} className="text-surface-400" />
@@ -377,7 +1329,7 @@ return (
                         </span>
                       </div>
                       <span className="text-surface-500">
-                        {analysis.worksheets.length} worksheets
+                        {analysis.worksheets.length} of {workbookAnalyses.find(a => a.file.Id === analysis.file.Id).worksheets.length} worksheets
                       </span>
                     </div>
                   ))}
@@ -414,8 +1366,49 @@ return (
 Processing Complete!
           </h3>
           <p className="text-green-700 mb-4">
-            Your {totalWorksheets} worksheets from {files.length} {files.length === 1 ? 'file' : 'files'} have been combined into a single Excel file.
+            {processMode === 'split' && splitBy === 'column' && splitSheet
+              ? `${splitSheet.sheetName} has been split by ${columnSplit.column} into ${downloadReady.fileCount} ${splitFormat.toUpperCase()} files in a ZIP archive.`
+              : processMode === 'split' && splitBy === 'chunks' && splitSheet
+              ? `${splitSheet.sheetName} has been split into ${downloadReady.fileCount} ${splitFormat.toUpperCase()} parts in a ZIP archive.`
+              : processMode === 'split'
+              ? `Your ${selectedWorksheetCount} worksheets have been saved as separate ${splitFormat.toUpperCase()} files in a ZIP archive.`
+              : combineMode === 'join' && combineReport
+                ? `Joined ${combineReport.rowCount} rows: ${combineReport.matchedRows} left rows matched, ${combineReport.unmatchedLeft.reduce((total, item) => total + item.count, 0)} left and ${combineReport.unmatchedRight.reduce((total, item) => total + item.count, 0)} right rows had no match, ${combineReport.duplicateLeft.length + combineReport.duplicateRight.length} duplicate keys. See the "${combineReport.reportSheet}" tab for details.`
+                : combineMode === 'append'
+                ? `Rows from your ${selectedWorksheetCount} worksheets have been stacked into a single table.`
+                : `Your ${selectedWorksheetCount} worksheets from ${selectedAnalyses.length} ${selectedAnalyses.length === 1 ? 'file' : 'files'} have been combined into ${downloadReady.fileName}.`}
           </p>
+          {processMode === 'combine' && combineReport?.dedupe && (
+            <div className="max-w-md mx-auto mb-4 text-sm text-green-800">
+              <div className="font-medium mb-1">
+                {combineReport.dedupe.removedCount} duplicate {combineReport.dedupe.removedCount === 1 ? 'row' : 'rows'} removed
+              </div>
+              <ul className="space-y-0.5">
+                {combineReport.dedupe.bySource.map(source => (
+                  <li key={`${source.fileName}-${source.sheetName}`} className="flex justify-between">
+                    <span className="truncate mr-4">{source.fileName} › {source.sheetName}</span>
+                    <span>{source.removed} of {source.rowCount}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+          {processMode === 'combine' && downloadReady.fidelity?.length > 0 && (
+            <div className="max-w-md mx-auto mb-4 text-left text-sm bg-warning/10 border border-warning/20 rounded-lg px-3 py-2">
+              <div className="flex items-center space-x-2 font-medium text-surface-900 mb-1">
+                <ApperIcon name="AlertTriangle" size={16} className="text-warning flex-shrink-0" />
+                <span>Not carried over to {downloadReady.fileName}</span>
+              </div>
+              <ul className="space-y-1 text-surface-700">
+                {downloadReady.fidelity.map((item, index) => (
+                  <li key={index}>
+                    <span className="font-medium">{item.label}</span>
+                    {item.sheets.length > 0 && <span> — {item.sheets.join(', ')}</span>}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
           <div className="flex justify-center flex-wrap gap-3">
             {downloadReady && (
               <Button
@@ -424,7 +1417,7 @@ Processing Complete!
                 onClick={handleDownload}
                 size="lg"
               >
-                Download Combined Excel ({formatFileSize(downloadReady.size)})
+                {processMode === 'split' ? 'Download ZIP Archive' : 'Download Combined File'} ({formatFileSize(downloadReady.size)})
               </Button>
             )}
           </div>
@@ -435,7 +1428,7 @@ Processing Complete!
       <input
         id="additional-file-input"
         type="file"
-        accept=".xlsx,.xls,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+        accept={ACCEPTED_FILE_TYPES}
         onChange={(e) => {
           const newFiles = Array.from(e.target.files)
           if (newFiles.length > 0) {
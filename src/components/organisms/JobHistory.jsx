@@ -0,0 +1,137 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { toast } from "react-toastify";
+import jobService from "@/services/api/jobService";
+import jobQueueService from "@/services/api/jobQueueService";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import JobListItem from "@/components/molecules/JobListItem";
+import { formatFileSize } from "@/utils/formatters";
+
+// Every job kept in the browser, newest first. Jobs of this session come from the queue, so their
+// progress stays live; the rest are read from IndexedDB.
+const JobHistory = ({ className = '' }) => {
+  const [storedJobs, setStoredJobs] = useState([])
+  const [sessionJobs, setSessionJobs] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [confirmingClear, setConfirmingClear] = useState(false)
+
+  const loadHistory = async () => {
+    try {
+      await jobQueueService.ready
+      setStoredJobs(await jobService.getAll())
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    loadHistory()
+    return jobQueueService.subscribe(setSessionJobs)
+  }, [])
+
+  const jobs = useMemo(() => {
+    const liveIds = new Set(sessionJobs.map(job => job.Id))
+    return [...sessionJobs, ...storedJobs.filter(job => !liveIds.has(job.Id))]
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  }, [sessionJobs, storedJobs])
+
+  const storedSize = jobs
+    .filter(job => job.status === 'completed' && job.outputStored)
+    .reduce((total, job) => total + job.output.size, 0)
+
+  const handleDownload = async (job) => {
+    try {
+      await jobQueueService.download(job)
+    } catch (err) {
+      toast.error(err.message)
+    }
+  }
+
+  const handleDelete = async (job) => {
+    try {
+      await jobQueueService.remove(job.Id)
+      await loadHistory()
+    } catch (err) {
+      toast.error(err.message)
+    }
+  }
+
+  const handleClear = async () => {
+    setConfirmingClear(false)
+    try {
+      await jobQueueService.clearHistory()
+      await loadHistory()
+      toast.info('History cleared')
+    } catch (err) {
+      toast.error(err.message)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className={`flex items-center justify-center py-12 text-surface-500 ${className}`}>
+        <ApperIcon name="Loader2" size={20} className="animate-spin mr-2" />
+        <span>Loading history…</span>
+      </div>
+    )
+  }
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      {error && (
+        <div className="flex items-start space-x-3 bg-warning/10 border border-warning/20 rounded-lg p-4 text-sm text-surface-700">
+          <ApperIcon name="AlertTriangle" size={18} className="text-warning flex-shrink-0 mt-0.5" />
+          <span>{error}. Jobs of this session are still listed until the page is closed.</span>
+        </div>
+      )}
+
+      <div className="flex items-center justify-between">
+        <div className="text-sm text-surface-600">
+          {jobs.length} {jobs.length === 1 ? 'job' : 'jobs'}
+          {storedSize > 0 && ` • ${formatFileSize(storedSize)} of outputs stored in this browser`}
+        </div>
+        {jobs.length > 0 && (confirmingClear ? (
+          <div className="flex items-center space-x-2">
+            <span className="text-sm text-surface-600">Delete every job and its output?</span>
+            <Button variant="ghost" size="sm" onClick={() => setConfirmingClear(false)}>
+              Keep
+            </Button>
+            <Button variant="outline" size="sm" icon="Trash2" onClick={handleClear} className="text-red-600 border-red-300">
+              Delete All
+            </Button>
+          </div>
+        ) : (
+          <Button variant="ghost" size="sm" icon="Trash2" onClick={() => setConfirmingClear(true)}>
+            Clear History
+          </Button>
+        ))}
+      </div>
+
+      {jobs.length === 0 ? (
+        <div className="bg-white rounded-xl border border-surface-200 p-8 text-center text-surface-500">
+          <ApperIcon name="History" size={32} className="mx-auto mb-3 text-surface-300" />
+          <p>No jobs yet. Combined and split files show up here once they are made.</p>
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {jobs.map(job => (
+            <JobListItem
+              key={job.Id}
+              job={job}
+              onCancel={(pending) => jobQueueService.cancel(pending.Id)}
+              onDownload={handleDownload}
+              onDelete={handleDelete}
+              showInputs
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default JobHistory
@@ -0,0 +1,181 @@
+import React, { useEffect, useRef, useState } from "react";
+import { toast } from "react-toastify";
+import presetService from "@/services/api/presetService";
+import { validatePreset } from "@/utils/presets";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+
+const inputClassName = 'rounded-lg border border-surface-300 px-3 py-1.5 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary'
+
+// Saves the whole processing setup under a name, loads it back, and shares it as a JSON file.
+// onCreatePreset(name) returns the preset for the current setup; onLoadPreset(preset) applies one.
+const PresetManager = ({
+  onCreatePreset,
+  onLoadPreset,
+  warnings = [],
+  onDismissWarnings,
+  disabled = false,
+  className = ''
+}) => {
+  const [savedPresets, setSavedPresets] = useState([])
+  const [selectedPresetId, setSelectedPresetId] = useState('')
+  const [presetName, setPresetName] = useState('')
+  const importInputRef = useRef(null)
+
+  useEffect(() => {
+    presetService.getAll().then(setSavedPresets)
+  }, [])
+
+  const selectedPreset = savedPresets.find(preset => String(preset.Id) === selectedPresetId)
+
+  const refresh = async (selectId) => {
+    setSavedPresets(await presetService.getAll())
+    setSelectedPresetId(selectId ? String(selectId) : '')
+  }
+
+  const handleSavePreset = async () => {
+    try {
+      const saved = await presetService.save(onCreatePreset(presetName))
+      await refresh(saved.Id)
+      setPresetName('')
+      toast.success(`Preset "${saved.name}" saved`)
+    } catch (err) {
+      toast.error(err.message)
+    }
+  }
+
+  // Saved presets are checked like imported ones; storage may hold one from an older version
+  const handleLoadPreset = () => {
+    if (!selectedPreset) return
+    try {
+      onLoadPreset(validatePreset(selectedPreset))
+    } catch (err) {
+      toast.error(`${selectedPreset.name}: ${err.message}`)
+    }
+  }
+
+  const handleDeletePreset = async () => {
+    if (!selectedPreset) return
+    try {
+      await presetService.delete(selectedPreset.Id)
+      await refresh()
+      toast.info(`Preset "${selectedPreset.name}" deleted`)
+    } catch (err) {
+      toast.error(err.message)
+    }
+  }
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0]
+    e.target.value = ''
+    if (!file) return
+
+    try {
+      const saved = await presetService.importPreset(file)
+      await refresh(saved.Id)
+      toast.success(`Preset "${saved.name}" imported`)
+    } catch (err) {
+      toast.error(`${file.name}: ${err.message}`)
+    }
+  }
+
+  return (
+    <div className={`bg-white rounded-lg border border-surface-200 p-4 space-y-3 ${className}`}>
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-2 text-sm font-medium text-surface-900">
+          <ApperIcon name="Bookmark" size={16} className="text-primary" />
+          <span>Presets</span>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon="Upload"
+          onClick={() => importInputRef.current?.click()}
+          disabled={disabled}
+        >
+          Import
+        </Button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          onChange={handleImport}
+          className="hidden"
+        />
+      </div>
+
+      <div className="flex flex-col sm:flex-row gap-2">
+        <div className="flex items-center gap-2 flex-1">
+          <select
+            value={selectedPresetId}
+            onChange={(e) => setSelectedPresetId(e.target.value)}
+            disabled={disabled || savedPresets.length === 0}
+            className={`${inputClassName} flex-1`}
+          >
+            <option value="">{savedPresets.length ? 'Saved presets…' : 'No saved presets'}</option>
+            {savedPresets.map(preset => (
+              <option key={preset.Id} value={preset.Id}>{preset.name}</option>
+            ))}
+          </select>
+          <Button variant="ghost" size="sm" onClick={handleLoadPreset} disabled={disabled || !selectedPreset}>
+            Load
+          </Button>
+          <Button
+            variant="ghost"
+            size="sm"
+            icon="Download"
+            onClick={() => presetService.exportPreset(selectedPreset)}
+            disabled={!selectedPreset}
+            title="Export as JSON"
+          />
+          <Button variant="ghost" size="sm" icon="Trash2" onClick={handleDeletePreset} disabled={disabled || !selectedPreset} />
+        </div>
+        <div className="flex items-center gap-2 flex-1">
+          <input
+            type="text"
+            value={presetName}
+            onChange={(e) => setPresetName(e.target.value)}
+            placeholder="Preset name"
+            disabled={disabled}
+            className={`${inputClassName} flex-1`}
+          />
+          <Button
+            variant="outline"
+            size="sm"
+            icon="Save"
+            onClick={handleSavePreset}
+            disabled={disabled || !presetName.trim()}
+          >
+            Save
+          </Button>
+        </div>
+      </div>
+
+      {warnings.length > 0 && (
+        <div className="rounded-lg border border-warning/30 bg-warning/10 p-3 text-sm text-surface-700">
+          <div className="flex items-start justify-between gap-2">
+            <div className="flex items-center space-x-2 font-medium text-surface-900">
+              <ApperIcon name="AlertTriangle" size={16} className="text-warning flex-shrink-0" />
+              <span>The preset doesn't fully fit these files</span>
+            </div>
+            <button
+              type="button"
+              onClick={onDismissWarnings}
+              className="p-1 text-surface-400 hover:text-surface-600"
+              title="Dismiss"
+            >
+              <ApperIcon name="X" size={14} />
+            </button>
+          </div>
+          <ul className="mt-2 ml-6 list-disc space-y-1 text-xs">
+            {warnings.map((warning, index) => (
+              <li key={index}>{warning}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PresetManager
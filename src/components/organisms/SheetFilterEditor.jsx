@@ -0,0 +1,207 @@
+import React, { useEffect, useState } from "react";
+import fileProcessingService from "@/services/api/fileProcessingService";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+import { EMPTY_FILTER, FILTER_OPERATORS } from "@/utils/rowFilters";
+
+const inputClassName = 'rounded-lg border border-surface-300 px-2 py-1.5 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-primary/20 focus:border-primary'
+
+const COUNT_DELAY = 300 // ms of quiet typing before the rows are counted again
+
+const formatNumber = (num) => new Intl.NumberFormat().format(num)
+
+// Column selection and row conditions for one worksheet, with a live count of the rows that stay
+const SheetFilterEditor = ({
+  fileId,
+  fileName,
+  worksheet,
+  filter = EMPTY_FILTER,
+  onChange,
+  matchingSheetCount = 0,
+  onApplyToMatching,
+  onClose,
+  className = ''
+}) => {
+  const [count, setCount] = useState(null) // { totalRows, keptRows }
+  const [error, setError] = useState(null)
+  const headers = worksheet.headers
+  const keptColumns = filter.columns || headers
+
+  // Counting runs in the worker after a pause in typing; a reply for an earlier filter is ignored
+  useEffect(() => {
+    let current = true
+    const timer = setTimeout(() => {
+      fileProcessingService.countFilteredRows(fileId, worksheet.name, filter)
+        .then(result => {
+          if (!current) return
+          setCount(result)
+          setError(null)
+        })
+        .catch(err => current && setError(err.message))
+    }, COUNT_DELAY)
+    return () => {
+      current = false
+      clearTimeout(timer)
+    }
+  }, [fileId, worksheet.name, filter])
+
+  const toggleColumn = (name, checked) => {
+    const columns = headers.filter(header => (header === name ? checked : keptColumns.includes(header)))
+    onChange({ ...filter, columns: columns.length === headers.length ? null : columns })
+  }
+
+  const updateCondition = (index, changes) => {
+    onChange({
+      ...filter,
+      conditions: filter.conditions.map((condition, i) => (i === index ? { ...condition, ...changes } : condition))
+    })
+  }
+
+  const addCondition = () => {
+    onChange({
+      ...filter,
+      conditions: [...filter.conditions, { column: headers[0] || '', operator: 'equals', value: '', value2: '' }]
+    })
+  }
+
+  const removeCondition = (index) => {
+    onChange({ ...filter, conditions: filter.conditions.filter((_, i) => i !== index) })
+  }
+
+  return (
+    <div className={`bg-white rounded-lg border border-surface-200 ${className}`}>
+      <div className="flex items-center justify-between px-4 py-3 border-b border-surface-200">
+        <div className="flex items-center space-x-2 min-w-0">
+          <ApperIcon name="Filter" size={16} className="text-primary flex-shrink-0" />
+          <div className="min-w-0">
+            <div className="text-sm font-medium text-surface-900 truncate">{fileName} › {worksheet.name}</div>
+            <div className="text-xs text-surface-500">
+              {error
+                ? error
+                : count === null
+                  ? 'Counting rows…'
+                  : `${formatNumber(count.keptRows)} of ${formatNumber(count.totalRows)} rows and ${keptColumns.length} of ${headers.length} columns kept`}
+            </div>
+          </div>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon="X"
+          onClick={onClose}
+          className="text-surface-400 hover:text-surface-600"
+        />
+      </div>
+
+      <div className="p-4 space-y-4">
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h4 className="text-sm font-medium text-surface-900">Columns</h4>
+            <button
+              type="button"
+              onClick={() => onChange({ ...filter, columns: null })}
+              disabled={filter.columns === null}
+              className="text-xs font-medium text-primary disabled:text-surface-400"
+            >
+              Keep all
+            </button>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-x-4 gap-y-1 max-h-48 overflow-y-auto">
+            {headers.map(name => {
+              const kept = keptColumns.includes(name)
+              return (
+                <label key={name} className="flex items-center space-x-2 text-sm text-surface-700 min-w-0">
+                  <input
+                    type="checkbox"
+                    checked={kept}
+                    onChange={(e) => toggleColumn(name, e.target.checked)}
+                    disabled={kept && keptColumns.length === 1}
+                    className="w-4 h-4 text-primary border-surface-300 rounded focus:ring-primary/20 focus:ring-2"
+                  />
+                  <span className="truncate" title={name}>{name}</span>
+                </label>
+              )
+            })}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <div>
+            <h4 className="text-sm font-medium text-surface-900">Rows</h4>
+            <p className="text-xs text-surface-500">
+              {filter.conditions.length === 0 ? 'Every row is kept.' : 'Rows are kept when they meet every condition. Leave a bound empty for no limit.'}
+            </p>
+          </div>
+          {filter.conditions.map((condition, index) => {
+            const operator = FILTER_OPERATORS.find(option => option.value === condition.operator)
+            return (
+              <div key={index} className="flex flex-wrap items-center gap-2">
+                <select
+                  value={condition.column}
+                  onChange={(e) => updateCondition(index, { column: e.target.value })}
+                  className={inputClassName}
+                >
+                  {!headers.includes(condition.column) && <option value={condition.column}>{condition.column || 'Choose a column'}</option>}
+                  {headers.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+                <select
+                  value={condition.operator}
+                  onChange={(e) => updateCondition(index, { operator: e.target.value, value: '', value2: '' })}
+                  className={inputClassName}
+                >
+                  {FILTER_OPERATORS.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+                </select>
+                {operator.inputs >= 1 && (
+                  <input
+                    type={operator.inputType}
+                    value={condition.value}
+                    onChange={(e) => updateCondition(index, { value: e.target.value })}
+                    placeholder={operator.inputs === 2 ? 'From' : 'Value'}
+                    className={`${inputClassName} w-36`}
+                  />
+                )}
+                {operator.inputs === 2 && (
+                  <>
+                    <span className="text-sm text-surface-500">and</span>
+                    <input
+                      type={operator.inputType}
+                      value={condition.value2}
+                      onChange={(e) => updateCondition(index, { value2: e.target.value })}
+                      placeholder="To"
+                      className={`${inputClassName} w-36`}
+                    />
+                  </>
+                )}
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  icon="Trash2"
+                  onClick={() => removeCondition(index)}
+                  className="text-surface-400 hover:text-red-600"
+                />
+              </div>
+            )
+          })}
+          <Button variant="ghost" size="sm" icon="Plus" onClick={addCondition} disabled={headers.length === 0}>
+            Add condition
+          </Button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 px-4 py-3 border-t border-surface-200">
+        {matchingSheetCount > 0 ? (
+          <Button variant="secondary" size="sm" icon="Copy" onClick={onApplyToMatching}>
+            Apply to {matchingSheetCount} other {matchingSheetCount === 1 ? 'sheet' : 'sheets'} with the same header
+          </Button>
+        ) : (
+          <span className="text-xs text-surface-500">No other sheet has the same header.</span>
+        )}
+        <Button variant="ghost" size="sm" icon="RotateCcw" onClick={() => onChange(EMPTY_FILTER)}>
+          Clear filter
+        </Button>
+      </div>
+    </div>
+  )
+}
+
+export default SheetFilterEditor
@@ -0,0 +1,167 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import fileProcessingService from "@/services/api/fileProcessingService";
+import ApperIcon from "@/components/ApperIcon";
+import Button from "@/components/atoms/Button";
+
+const ROW_HEIGHT = 28
+const VIEWPORT_HEIGHT = 420
+const OVERSCAN = 10
+const BLOCK_SIZE = 200 // rows fetched from the worker at a time
+const PREVIEW_ROW_LIMIT = 100000
+const PREVIEW_COLUMN_LIMIT = 100
+const COLUMN_WIDTH = 144
+const ROW_NUMBER_WIDTH = 64
+
+const formatNumber = (num) => new Intl.NumberFormat().format(num)
+
+// Scrollable grid over one worksheet. Only the rows in view are rendered, and their text is
+// fetched from the worker in blocks as they scroll into view, so large sheets stay smooth.
+const SheetPreview = ({
+  fileId,
+  fileName,
+  worksheet,
+  onClose,
+  className = ''
+}) => {
+  const [headers, setHeaders] = useState([])
+  const [headerRow, setHeaderRow] = useState(null) // 1-based, null when the sheet has no header row
+  const [firstSheetRow, setFirstSheetRow] = useState(1) // sheet row number of the first data row
+  const [totalRows, setTotalRows] = useState(null)
+  const [blocks, setBlocks] = useState({}) // { [blockIndex]: rows }
+  const [scrollTop, setScrollTop] = useState(0)
+  const [error, setError] = useState(null)
+  const requestedBlocks = useRef(new Set())
+
+  const loadBlock = useCallback(async (block) => {
+    if (requestedBlocks.current.has(block)) return
+    requestedBlocks.current.add(block)
+
+    try {
+      const result = await fileProcessingService.previewSheet(fileId, worksheet.name, block * BLOCK_SIZE, BLOCK_SIZE, PREVIEW_COLUMN_LIMIT)
+      setHeaders(result.headers)
+      setHeaderRow(result.headerRow)
+      setFirstSheetRow(result.firstRow)
+      setTotalRows(result.totalRows)
+      setBlocks(prev => ({ ...prev, [block]: result.rows }))
+    } catch (err) {
+      setError(err.message)
+    }
+  }, [fileId, worksheet.name])
+
+  const rowCount = Math.min(totalRows || 0, PREVIEW_ROW_LIMIT)
+  const firstRow = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN)
+  const lastRow = Math.min(rowCount, Math.ceil((scrollTop + VIEWPORT_HEIGHT) / ROW_HEIGHT) + OVERSCAN)
+
+  useEffect(() => {
+    loadBlock(Math.floor(firstRow / BLOCK_SIZE))
+    if (lastRow > 0) {
+      loadBlock(Math.floor((lastRow - 1) / BLOCK_SIZE))
+    }
+  }, [firstRow, lastRow, loadBlock])
+
+  const gridWidth = ROW_NUMBER_WIDTH + headers.length * COLUMN_WIDTH
+  const visibleRows = []
+  for (let i = firstRow; i < lastRow; i++) {
+    visibleRows.push(i)
+  }
+
+  const renderCells = (cells, rowClassName) => (
+    cells.map((text, column) => (
+      <div
+        key={column}
+        title={text}
+        className={`flex-shrink-0 px-2 truncate border-r border-surface-100 ${rowClassName}`}
+        style={{ width: COLUMN_WIDTH, lineHeight: `${ROW_HEIGHT}px` }}
+      >
+        {text}
+      </div>
+    ))
+  )
+
+  return (
+    <div className={`bg-white rounded-lg border border-surface-200 ${className}`}>
+      <div className="flex items-center justify-between px-4 py-3 border-b border-surface-200">
+        <div className="flex items-center space-x-2 min-w-0">
+          <ApperIcon name="Table" size={16} className="text-primary flex-shrink-0" />
+          <div className="min-w-0">
+            <div className="text-sm font-medium text-surface-900 truncate">{fileName} › {worksheet.name}</div>
+            <div className="text-xs text-surface-500">
+              {totalRows === null
+                ? 'Loading preview…'
+                : `${headerRow ? `Header detected in row ${headerRow}` : 'No header row detected'} • ${formatNumber(totalRows)} rows`}
+            </div>
+          </div>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          icon="X"
+          onClick={onClose}
+          className="text-surface-400 hover:text-surface-600"
+        />
+      </div>
+
+      {error ? (
+        <div className="flex items-center space-x-2 px-4 py-3 text-sm text-red-700">
+          <ApperIcon name="AlertCircle" size={16} className="flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      ) : totalRows !== null && headers.length === 0 ? (
+        <div className="px-4 py-6 text-sm text-center text-surface-500">This worksheet has no data to preview.</div>
+      ) : (
+        <div
+          className="overflow-auto text-xs text-surface-700"
+          style={{ height: VIEWPORT_HEIGHT }}
+          onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+        >
+          <div className="relative" style={{ width: gridWidth, height: (rowCount + 1) * ROW_HEIGHT }}>
+            <div
+              className="sticky top-0 z-10 flex bg-surface-100 border-b border-surface-200 font-medium text-surface-900"
+              style={{ height: ROW_HEIGHT }}
+            >
+              <div
+                className="sticky left-0 flex-shrink-0 px-2 text-right text-surface-500 bg-surface-100 border-r border-surface-200"
+                style={{ width: ROW_NUMBER_WIDTH, lineHeight: `${ROW_HEIGHT}px` }}
+              >
+                {headerRow || ''}
+              </div>
+              {renderCells(headers, '')}
+            </div>
+
+            {visibleRows.map(index => {
+              const block = blocks[Math.floor(index / BLOCK_SIZE)]
+              const cells = block ? block[index % BLOCK_SIZE] : null
+
+              return (
+                <div
+                  key={index}
+                  className="absolute left-0 flex border-b border-surface-100"
+                  style={{ top: (index + 1) * ROW_HEIGHT, height: ROW_HEIGHT, width: gridWidth }}
+                >
+                  <div
+                    className="sticky left-0 flex-shrink-0 px-2 text-right text-surface-400 bg-surface-50 border-r border-surface-200"
+                    style={{ width: ROW_NUMBER_WIDTH, lineHeight: `${ROW_HEIGHT}px` }}
+                  >
+                    {firstSheetRow + index}
+                  </div>
+                  {cells
+                    ? renderCells(cells, '')
+                    : renderCells(headers.map(() => ''), 'bg-surface-50 animate-pulse')}
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+
+      {(totalRows > PREVIEW_ROW_LIMIT || worksheet.columnCount > PREVIEW_COLUMN_LIMIT) && (
+        <div className="px-4 py-2 border-t border-surface-200 text-xs text-surface-500">
+          Showing the first {formatNumber(Math.min(totalRows, PREVIEW_ROW_LIMIT))} rows
+          {worksheet.columnCount > PREVIEW_COLUMN_LIMIT && ` and ${PREVIEW_COLUMN_LIMIT} columns`}. Everything is included when processing.
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SheetPreview
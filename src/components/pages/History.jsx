@@ -0,0 +1,32 @@
+import { motion } from "framer-motion";
+import React from "react";
+import JobHistory from "@/components/organisms/JobHistory";
+
+const History = () => {
+  return (
+    <div className="space-y-8">
+      <motion.div
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6 }}
+        className="space-y-2"
+      >
+        <h1 className="text-3xl font-bold text-surface-900">History</h1>
+        <p className="text-surface-600">
+          Past combine and split jobs with their inputs and settings. Outputs are kept in this browser,
+          so they can be downloaded again without processing the files a second time.
+        </p>
+      </motion.div>
+
+      <motion.div
+        initial={{ opacity: 0, y: 40 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.6, delay: 0.2 }}
+      >
+        <JobHistory />
+      </motion.div>
+    </div>
+  )
+}
+
+export default History
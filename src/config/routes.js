@@ -1,4 +1,5 @@
 import Home from '@/components/pages/Home'
+import History from '@/components/pages/History'
 
 export const routes = {
   home: {
@@ -7,6 +8,13 @@ export const routes = {
     path: '/',
     icon: 'Home',
     component: Home
+  },
+  history: {
+    id: 'history',
+    label: 'History',
+    path: '/history',
+    icon: 'History',
+    component: History
   }
 }
 
@@ -0,0 +1,49 @@
+const STORAGE_KEY = 'sheetsplitter_column_mappings'
+
+class ColumnMappingService {
+  readAll() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+    } catch (error) {
+      return []
+    }
+  }
+
+  writeAll(mappings) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(mappings))
+  }
+
+  async getAll() {
+    return this.readAll()
+  }
+
+  async save(name, columns) {
+    const trimmedName = name.trim()
+    if (!trimmedName) {
+      throw new Error('Please enter a name for the mapping')
+    }
+
+    // Saving under an existing name replaces that mapping
+    const mappings = this.readAll()
+    const existing = mappings.find(mapping => mapping.name.toLowerCase() === trimmedName.toLowerCase())
+    const mapping = {
+      Id: existing ? existing.Id : Date.now(),
+      name: trimmedName,
+      columns: columns.map(column => ({ name: column.name, sources: [...column.sources] })),
+      updatedAt: new Date().toISOString()
+    }
+
+    this.writeAll(existing
+      ? mappings.map(item => (item.Id === existing.Id ? mapping : item))
+      : [...mappings, mapping])
+
+    return mapping
+  }
+
+  async delete(id) {
+    this.writeAll(this.readAll().filter(mapping => mapping.Id !== id))
+    return true
+  }
+}
+
+export default new ColumnMappingService()
@@ -1,288 +1,394 @@
-import * as XLSX from 'xlsx'
-import JSZip from 'jszip'
 import { saveAs } from 'file-saver'
-import { jsPDF } from 'jspdf'
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+import workbookClient from '@/workers/workbookClient'
+import { compareHeaders } from '@/utils/columnMapping'
+import { SUPPORTED_EXTENSIONS, SUPPORTED_MIME_TYPES, getFileExtension } from '@/utils/fileTypes'
+import { createFileError } from '@/utils/fileErrors'
+import { getBaseName } from '@/utils/formatters'
+
+// Parsing, combining and writing run in the workbook worker; this service keeps the page-side API.
+// Workbooks and intermediate results are referred to by Id, the data itself never leaves the worker.
+
+let lastFileId = 0
+const nextFileId = () => {
+  lastFileId = Math.max(Date.now(), lastFileId + 1)
+  return lastFileId
+}
+
+// A file that couldn't be loaded, listed alongside the analyses so it can be replaced or removed
+const toFailure = (file, error) => ({
+  file: {
+    Id: nextFileId(),
+    name: file.name,
+    size: file.size,
+    uploadTime: new Date().toISOString(),
+    status: 'failed'
+  },
+  error: { code: error.code || 'corrupt', message: error.message },
+  source: file
+})
+
+// Only what the worker needs to find the sheets: the File and cell data stay where they are
+const toWorkerAnalyses = (workbookAnalyses) => workbookAnalyses.map(({ file, worksheets }) => ({ file, worksheets }))
 
 class FileProcessingService {
   async validateFile(file) {
-    await delay(200)
-    
-    const validTypes = [
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-      'application/vnd.ms-excel'
-    ]
-    
-    const validExtensions = ['.xlsx', '.xls']
-    const fileExtension = file.name.toLowerCase().slice(file.name.lastIndexOf('.'))
-    
-    if (!validTypes.includes(file.type) && !validExtensions.includes(fileExtension)) {
-      throw new Error('Please upload a valid Excel file (.xlsx or .xls)')
+    const fileExtension = getFileExtension(file.name)
+
+    if (!SUPPORTED_MIME_TYPES.includes(file.type) && !SUPPORTED_EXTENSIONS.includes(fileExtension)) {
+      throw createFileError('unsupported', `Please upload a supported spreadsheet file (${SUPPORTED_EXTENSIONS.join(', ')})`)
     }
-    
+
     if (file.size > 50 * 1024 * 1024) { // 50MB limit
-      throw new Error('File size must be less than 50MB')
+      throw createFileError('tooLarge', 'File size must be less than 50MB')
     }
-    
+
     return true
   }
 
+  // One bad file doesn't reject the batch: the rest are returned as valid
   async validateMultipleFiles(files) {
-    await delay(300)
-    
-    const errors = []
-    
+    const valid = []
+    const failures = []
+
     for (let i = 0; i < files.length; i++) {
       try {
         await this.validateFile(files[i])
+        valid.push(files[i])
       } catch (error) {
-        errors.push(`${files[i].name}: ${error.message}`)
+        failures.push(toFailure(files[i], error))
       }
     }
-    
-    if (errors.length > 0) {
-      throw new Error(`Validation failed for ${errors.length} file(s):\n${errors.join('\n')}`)
-    }
-    
-    return true
+
+    return { valid, failures }
   }
 
-  async analyzeWorkbook(file) {
-    await delay(300)
-    
-    return new Promise((resolve, reject) => {
-      const reader = new FileReader()
-      
-      reader.onload = (e) => {
-        try {
-          const data = new Uint8Array(e.target.result)
-          const workbook = XLSX.read(data, { type: 'array' })
-          
-          const worksheets = workbook.SheetNames.map((name, index) => {
-            const sheet = workbook.Sheets[name]
-            const range = XLSX.utils.decode_range(sheet['!ref'] || 'A1:A1')
-            
-            return {
-              name,
-              index,
-              rowCount: range.e.r + 1,
-              columnCount: range.e.c + 1,
-              hasData: !!sheet['!ref']
-            }
-          })
-          
-          resolve({
-            file: {
-              Id: Date.now(),
-              name: file.name,
-              size: file.size,
-              uploadTime: new Date().toISOString(),
-              status: 'analyzed'
-            },
-            worksheets,
-            workbook
-          })
-        } catch (error) {
-          reject(new Error('Failed to read Excel file. Please ensure it is not corrupted.'))
-        }
-      }
-      
-      reader.onerror = () => {
-        reject(new Error('Failed to read file'))
-      }
-      
-      reader.readAsArrayBuffer(file)
-    })
-}
+  async analyzeWorkbook(file, textOptions = {}, options = {}) {
+    // Re-reading a file keeps its Id, and the worker replaces the workbook it holds for it.
+    // The password opens an encrypted file and is not kept anywhere.
+    const { fileId = nextFileId(), password = '', onProgress, signal } = options
 
-  async analyzeMultipleWorkbooks(files) {
-    await delay(500)
-    
+    const analysis = await workbookClient.run('analyzeWorkbook', { fileId, file, textOptions, password }, { onProgress, signal })
+
+    return {
+      file: {
+        Id: fileId,
+        name: file.name,
+        size: file.size,
+        uploadTime: new Date().toISOString(),
+        status: 'analyzed'
+      },
+      worksheets: analysis.worksheets,
+      textImport: analysis.textImport,
+      hasMacros: analysis.hasMacros,
+      source: file
+    }
+  }
+
+  async analyzeMultipleWorkbooks(files, onProgress, signal) {
     const results = []
-    
+    const failures = []
+    const totalBytes = Math.max(files.reduce((total, file) => total + file.size, 0), 1)
+    let doneBytes = 0
+
     for (let fileIndex = 0; fileIndex < files.length; fileIndex++) {
       const file = files[fileIndex]
-      
+
       try {
-        const analysis = await this.analyzeWorkbook(file)
-        // Update the file Id to ensure uniqueness across multiple files
-        analysis.file.Id = Date.now() + fileIndex
+        const analysis = await this.analyzeWorkbook(file, {}, {
+          signal,
+          onProgress: (progress, details) => {
+            if (onProgress) {
+              // Overall progress is weighted by file size
+              onProgress(Math.round(((doneBytes + (progress / 100) * file.size) / totalBytes) * 100), {
+                ...details,
+                bytesLoaded: doneBytes + details.bytesLoaded,
+                bytesTotal: totalBytes
+              })
+            }
+          }
+        })
         results.push(analysis)
       } catch (error) {
-        throw new Error(`Failed to analyze ${file.name}: ${error.message}`)
+        if (error.name === 'AbortError') {
+          // Nothing from a cancelled batch is kept
+          this.releaseWorkbooks(results.map(analysis => analysis.file.Id))
+          throw error
+        }
+        failures.push(toFailure(file, error))
       }
+      doneBytes += file.size
     }
-    
-    return results
+
+    return { analyses: results, failures }
   }
 
-  async combineAllSheets(workbookAnalyses, onProgress) {
-    await delay(500)
-    
-    // Create new workbook
-    const combinedWorkbook = XLSX.utils.book_new()
-    let totalSheets = 0
-    let processedSheets = 0
-    
-    // Count total sheets
-    workbookAnalyses.forEach(analysis => {
-      totalSheets += analysis.worksheets.length
-    })
-    
-    // Combine all worksheets
-    for (let analysisIndex = 0; analysisIndex < workbookAnalyses.length; analysisIndex++) {
-      const analysis = workbookAnalyses[analysisIndex]
-      const fileBaseName = analysis.file.name.replace(/\.[^/.]+$/, '')
-      
-      for (let sheetIndex = 0; sheetIndex < analysis.worksheets.length; sheetIndex++) {
-        const worksheet = analysis.worksheets[sheetIndex]
-        const originalSheet = analysis.workbook.Sheets[worksheet.name]
-        
-        // Create unique sheet name to avoid conflicts
-        let newSheetName = `${fileBaseName}_${worksheet.name}`
-        
-        // Ensure sheet name doesn't exceed Excel's 31 character limit
-        if (newSheetName.length > 31) {
-          const maxFileNameLength = 31 - worksheet.name.length - 1
-          const truncatedFileName = fileBaseName.substring(0, maxFileNameLength)
-          newSheetName = `${truncatedFileName}_${worksheet.name}`
-        }
-        
-        // Ensure unique name (handle duplicates)
-        let counter = 1
-        let finalSheetName = newSheetName
-        while (combinedWorkbook.Sheets[finalSheetName]) {
-          const suffix = `_${counter}`
-          const maxBaseLength = 31 - suffix.length
-          finalSheetName = newSheetName.substring(0, maxBaseLength) + suffix
-          counter++
-        }
-        
-        // Add sheet to combined workbook
-        combinedWorkbook.Sheets[finalSheetName] = originalSheet
-        combinedWorkbook.SheetNames.push(finalSheetName)
-        
-        processedSheets++
-        
-        // Update progress
-        const progress = Math.round((processedSheets / totalSheets) * 100)
-        if (onProgress) {
-          onProgress(progress)
+  releaseWorkbooks(fileIds) {
+    return workbookClient.run('release', { fileIds })
+  }
+
+  releaseResults(results) {
+    return workbookClient.run('release', { resultIds: results.map(result => result.Id) })
+  }
+
+  releaseAll() {
+    return workbookClient.run('releaseAll')
+  }
+
+  // Display text for rows start..start+count below the header, plus the sheet's total row count
+  async previewSheet(fileId, sheetName, start = 0, count = 200, maxColumns = Infinity) {
+    return workbookClient.run('previewSheet', { fileId, sheetName, start, count, maxColumns })
+  }
+
+  // { totalRows, keptRows }: the sheet's data rows before and after the filter (see rowFilters)
+  async countFilteredRows(fileId, sheetName, filter) {
+    return workbookClient.run('countFilteredRows', { fileId, sheetName, filter })
+  }
+
+  // options.sheetNames: one tab name per worksheet, in order (see buildSheetNames).
+  // Every job below takes options.filters, a row filter per sheetNameKey, applied before anything else.
+  async combineAllSheets(workbookAnalyses, onProgress, options = {}) {
+    const { signal, ...combineOptions } = options
+
+    return workbookClient.run('combineAllSheets', {
+      analyses: toWorkerAnalyses(workbookAnalyses),
+      options: combineOptions
+    }, { onProgress, signal })
+  }
+
+  compareHeaders(workbookAnalyses, columnMapping = null) {
+    return compareHeaders(workbookAnalyses, columnMapping)
+  }
+
+  async appendAllSheets(workbookAnalyses, onProgress, options = {}) {
+    const { signal, ...appendOptions } = options
+
+    return workbookClient.run('appendAllSheets', {
+      analyses: toWorkerAnalyses(workbookAnalyses),
+      options: appendOptions
+    }, { onProgress, signal })
+  }
+
+  // Each side is { fileId, sheetName, label }; options.workbook adds the joined sheets to an earlier result
+  async joinSheets(left, right, options = {}, onProgress) {
+    const { signal, ...joinOptions } = options
+
+    return workbookClient.run('joinSheets', { left, right, options: joinOptions }, { onProgress, signal })
+  }
+
+  // options.protection: { password, lockStructure, lockSheets, protectionPassword } for Excel formats
+  async generateCombinedExcel(combinedWorkbook, baseFileName, format = 'xlsx', options = {}) {
+    const { macroSourceId = null, protection = null, onProgress, signal } = options
+
+    return workbookClient.run('generateCombinedExcel', {
+      workbook: combinedWorkbook,
+      baseFileName,
+      format,
+      macroSourceId,
+      protection
+    }, { onProgress, signal })
+  }
+
+  // Pass the returned archive back in as options.zip to add further files to it
+  async processWorksheets(fileId, selectedWorksheets, onProgress, options = {}) {
+    const { signal, ...splitOptions } = options
+
+    return workbookClient.run('processWorksheets', {
+      fileId,
+      worksheets: selectedWorksheets,
+      options: splitOptions
+    }, { onProgress, signal })
+  }
+
+  // [{ value, rowCount }] for each distinct value of the column, in the order the values first appear
+  async previewColumnGroups(fileId, sheetName, column, filters = {}) {
+    return workbookClient.run('previewColumnGroups', { fileId, sheetName, column, filters })
+  }
+
+  async splitSheetByColumn(fileId, sheetName, column, onProgress, options = {}) {
+    const { signal, ...splitOptions } = options
+
+    return workbookClient.run('splitSheetByColumn', {
+      fileId,
+      sheetName,
+      column,
+      options: splitOptions
+    }, { onProgress, signal })
+  }
+
+  // options.by is 'rows' (options.rowsPerPart) or 'size' (options.maxBytes per written file)
+  async splitSheetIntoParts(fileId, sheetName, onProgress, options = {}) {
+    const { signal, ...splitOptions } = options
+
+    return workbookClient.run('splitSheetIntoParts', {
+      fileId,
+      sheetName,
+      options: splitOptions
+    }, { onProgress, signal })
+  }
+
+  async generateDownload(zip, originalFileName, format = 'pdf', options = {}) {
+    const { onProgress, signal } = options
+
+    return workbookClient.run('generateDownload', { zip, originalFileName, format }, { onProgress, signal })
+  }
+
+  // Jobs: one combine or split run with every setting fixed when it was started (see buildJobSettings
+  // in FileProcessor). Each runs in two steps, so a failed write can be retried without redoing the work.
+
+  // Step one of a combine: the combined workbook, held in the worker, and the append or join report
+  async runCombineJob(settings, options = {}) {
+    const { onProgress, signal } = options
+    const { analyses, filters } = settings
+
+    if (settings.combineMode === 'append') {
+      return this.appendAllSheets(analyses, onProgress, {
+        addSourceColumns: settings.addSourceColumns,
+        columnMapping: settings.columnMapping,
+        dedupe: settings.dedupe,
+        filters,
+        signal
+      })
+    }
+
+    if (settings.combineMode === 'join') {
+      const { left, right, keys, type, includeTabs } = settings.join
+      const baseWorkbook = includeTabs
+        ? await this.combineAllSheets(analyses, onProgress, { sheetNames: settings.sheetNames, filters, signal })
+        : undefined
+      try {
+        return await this.joinSheets(left, right, { keys, type, workbook: baseWorkbook, filters, signal }, onProgress)
+      } catch (error) {
+        // Tabs gathered for a join that never happened are of no further use
+        if (baseWorkbook) {
+          this.releaseResults([baseWorkbook])
         }
-        
-        await delay(50) // Small delay for progress visualization
+        throw error
       }
     }
-    
-    return combinedWorkbook
-  }
 
-  async generateCombinedExcel(combinedWorkbook, baseFileName) {
-    await delay(300)
-    
-    // Generate Excel file
-    const excelBuffer = XLSX.write(combinedWorkbook, { 
-      bookType: 'xlsx', 
-      type: 'array' 
+    const workbook = await this.combineAllSheets(analyses, onProgress, {
+      sheetNames: settings.sheetNames,
+      index: settings.addIndexSheet,
+      backLinks: settings.backLinks,
+      filters,
+      signal
     })
-    
-    const blob = new Blob([excelBuffer], { 
-      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' 
+    return { workbook, report: null }
+  }
+
+  // Step two of a combine: the file to download
+  async writeCombineJob(settings, workbook, options = {}) {
+    return this.generateCombinedExcel(workbook, settings.baseFileName, settings.outputFormat, {
+      macroSourceId: settings.macroSourceId,
+      protection: settings.protection,
+      ...options
     })
-    
-    const fileName = `${baseFileName}_combined.xlsx`
-    
-    return {
-      blob,
-      fileName,
-      size: blob.size,
-      sheetCount: combinedWorkbook.SheetNames.length
+  }
+
+  // Step one of a split: the archive of split files, held in the worker
+  async runSplitJob(settings, options = {}) {
+    const { onProgress, signal } = options
+    const { filters, pdfOptions, splitFormat: format } = settings
+
+    if (settings.splitBy === 'column') {
+      const { fileId, sheetName, fileName } = settings.splitSheet
+      return this.splitSheetByColumn(fileId, sheetName, settings.columnSplit.column, onProgress, {
+        format,
+        namePattern: settings.columnSplit.namePattern,
+        pdfOptions,
+        sourceFileName: fileName,
+        filters,
+        signal
+      })
     }
-}
-async processWorksheets(workbook, selectedWorksheets, onProgress) {
-    await delay(500)
-    
-    const zip = new JSZip()
-    const totalSheets = selectedWorksheets.length
-    
-    for (let i = 0; i < selectedWorksheets.length; i++) {
-      const worksheet = selectedWorksheets[i]
-      
-      // Get worksheet data
-      const sheet = workbook.Sheets[worksheet.name]
-      const jsonData = XLSX.utils.sheet_to_json(sheet, { header: 1, defval: '' })
-      
-      // Create PDF
-      const pdf = new jsPDF('p', 'mm', 'a4')
-      const pageWidth = pdf.internal.pageSize.getWidth()
-      const pageHeight = pdf.internal.pageSize.getHeight()
-      const margin = 10
-      const lineHeight = 6
-      let yPosition = margin + 10
-      
-      // Add title
-      pdf.setFontSize(16)
-      pdf.text(worksheet.name, margin, yPosition)
-      yPosition += lineHeight * 2
-      
-      // Add data
-      pdf.setFontSize(10)
-      for (let rowIndex = 0; rowIndex < jsonData.length; rowIndex++) {
-        const row = jsonData[rowIndex]
-        let xPosition = margin
-        
-        // Check if we need a new page
-        if (yPosition > pageHeight - margin - lineHeight) {
-          pdf.addPage()
-          yPosition = margin + 10
-        }
-        
-        // Add row data
-        for (let colIndex = 0; colIndex < row.length && colIndex < 8; colIndex++) {
-          const cellValue = String(row[colIndex] || '')
-          const maxWidth = (pageWidth - 2 * margin) / Math.min(row.length, 8)
-          
-          if (cellValue.length > 15) {
-            pdf.text(cellValue.substring(0, 15) + '...', xPosition, yPosition)
-          } else {
-            pdf.text(cellValue, xPosition, yPosition)
+
+    if (settings.splitBy === 'chunks') {
+      const { fileId, sheetName, fileName } = settings.splitSheet
+      return this.splitSheetIntoParts(fileId, sheetName, onProgress, {
+        ...settings.chunkSplit,
+        format,
+        namePattern: settings.namePattern,
+        pdfOptions,
+        sourceFileName: fileName,
+        filters,
+        signal
+      })
+    }
+
+    // One output per worksheet, all in a single archive. Several files get a folder each
+    // unless the name pattern already tells them apart.
+    const { analyses } = settings
+    const useFolders = analyses.length > 1 && !settings.namePattern.includes('{file}')
+    const totalSheets = analyses.reduce((total, analysis) => total + analysis.worksheets.length, 0)
+    let processedSheets = 0
+    let zip
+
+    try {
+      for (const analysis of analyses) {
+        const sheetCount = analysis.worksheets.length
+        zip = await this.processWorksheets(
+          analysis.file.Id,
+          analysis.worksheets,
+          (progress, details) => {
+            if (onProgress) {
+              const doneInFile = (progress / 100) * sheetCount
+              onProgress(Math.round(((processedSheets + doneInFile) / totalSheets) * 100), details)
+            }
+          },
+          {
+            format,
+            namePattern: settings.namePattern,
+            pdfOptions,
+            sourceFileName: analysis.file.name,
+            zip,
+            folderName: useFolders ? getBaseName(analysis.file.name) : '',
+            filters,
+            signal
           }
-          
-          xPosition += maxWidth
-        }
-        
-        yPosition += lineHeight
+        )
+        processedSheets += sheetCount
       }
-      
-      // Generate PDF buffer
-      const pdfBuffer = pdf.output('arraybuffer')
-      
-      // Add to zip with clean filename
-      const fileName = `${worksheet.name.replace(/[\/\\:*?"<>|]/g, '_')}.pdf`
-      zip.file(fileName, pdfBuffer)
-      
-      // Update progress
-      const progress = Math.round(((i + 1) / totalSheets) * 100)
-      if (onProgress) {
-        onProgress(progress)
+    } catch (error) {
+      // A half-filled archive can't be resumed, so it is dropped
+      if (zip) {
+        this.releaseResults([zip])
       }
-      
-      await delay(100) // Small delay for progress visualization
+      throw error
     }
-    
+
     return zip
   }
-async generateDownload(zip, originalFileName) {
-    await delay(300)
-    
-    const zipBlob = await zip.generateAsync({ type: 'blob' })
-    const baseName = originalFileName.replace(/\.[^/.]+$/, '')
-    const zipFileName = `${baseName}_split_PDFs.zip`
-    
-    return {
-      blob: zipBlob,
-      fileName: zipFileName,
-      size: zipBlob.size
+
+  // Step two of a split: the ZIP archive to download
+  async packageSplitJob(settings, zip, options = {}) {
+    const sourceFileName = settings.splitBy === 'sheets' ? settings.analyses[0].file.name : settings.splitSheet.fileName
+    return this.generateDownload(zip, sourceFileName, settings.splitFormat, options)
+  }
+
+  // Both steps in one go, for queued jobs; progress runs 0–100 over the whole job
+  async runJob(settings, options = {}) {
+    const { onProgress, signal } = options
+    const stepProgress = (start, share) => (progress, details) => {
+      if (onProgress) onProgress(Math.round(start + (progress / 100) * share), details)
+    }
+
+    if (settings.type === 'split') {
+      const zip = await this.runSplitJob(settings, { onProgress: stepProgress(0, 80), signal })
+      try {
+        return await this.packageSplitJob(settings, zip, { onProgress: stepProgress(80, 20), signal })
+      } catch (error) {
+        this.releaseResults([zip])
+        throw error
+      }
+    }
+
+    const { workbook, report } = await this.runCombineJob(settings, { onProgress: stepProgress(0, 80), signal })
+    try {
+      const download = await this.writeCombineJob(settings, workbook, { onProgress: stepProgress(80, 20), signal })
+      return { ...download, report }
+    } catch (error) {
+      this.releaseResults([workbook])
+      throw error
     }
   }
 
@@ -291,4 +397,4 @@ async generateDownload(zip, originalFileName) {
   }
 }
 
-export default new FileProcessingService()
\ No newline at end of file
+export default new FileProcessingService()
@@ -0,0 +1,187 @@
+import fileProcessingService from '@/services/api/fileProcessingService'
+import jobService from '@/services/api/jobService'
+import { isCancelledError } from '@/workers/workbookClient'
+import { isJobPending, jobInputs, storedJobSettings } from '@/utils/jobs'
+
+// Queued combine and split jobs run one after another. A queued job keeps its settings, including
+// the Ids of the files it reads in the worker, until it has run. Every job of this session, queued
+// or started directly, is listed here and written to the history as its status changes.
+class JobQueueService {
+  constructor() {
+    this.jobs = [] // this session's jobs, oldest first
+    this.settings = new Map() // job Id → settings of jobs not yet finished
+    this.cancellers = new Map() // job Id → function that stops the running job
+    this.unstoredOutputs = new Map() // job Id → blob the history had no room for
+    this.listeners = new Set()
+    // Whatever was still pending when the page last closed is marked before anything new is saved
+    this.ready = jobService.markInterrupted().catch(() => {})
+  }
+
+  // listener(jobs) is called at once and after every change; returns the unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener)
+    listener(this.jobs)
+    return () => this.listeners.delete(listener)
+  }
+
+  notify() {
+    this.listeners.forEach(listener => listener(this.jobs))
+  }
+
+  // A browser without IndexedDB still runs jobs, it just keeps no history
+  persist(job) {
+    return this.ready.then(() => jobService.save(job)).catch(() => {})
+  }
+
+  update(jobId, changes, persist = true) {
+    this.jobs = this.jobs.map(job => (job.Id === jobId ? { ...job, ...changes } : job))
+    const job = this.jobs.find(item => item.Id === jobId)
+    this.notify()
+    if (persist) {
+      this.persist(job)
+    }
+    return job
+  }
+
+  createJob(settings, status) {
+    const now = new Date().toISOString()
+    const job = {
+      Id: jobService.nextId(),
+      type: settings.type,
+      status,
+      progress: 0,
+      inputs: jobInputs(settings.analyses),
+      settings: storedJobSettings(settings),
+      output: null,
+      outputStored: false,
+      error: null,
+      createdAt: now,
+      startedAt: status === 'running' ? now : null,
+      finishedAt: null
+    }
+    this.jobs = [...this.jobs, job]
+    this.settings.set(job.Id, settings)
+    this.notify()
+    this.persist(job)
+    return job
+  }
+
+  enqueue(settings) {
+    const job = this.createJob(settings, 'queued')
+    this.runNext()
+    return job
+  }
+
+  // Jobs started directly from the page don't wait in the queue, but are recorded the same way.
+  // onCancel stops them from the queue list like any other job.
+  begin(settings, onCancel) {
+    const job = this.createJob(settings, 'running')
+    this.cancellers.set(job.Id, onCancel)
+    return job
+  }
+
+  reportProgress(jobId, progress) {
+    this.update(jobId, { progress }, false)
+  }
+
+  async complete(jobId, download) {
+    let outputStored = true
+    try {
+      await this.ready
+      await jobService.saveOutput(jobId, download.blob)
+    } catch (error) {
+      outputStored = false
+      this.unstoredOutputs.set(jobId, download.blob)
+    }
+
+    this.finish(jobId)
+    return this.update(jobId, {
+      status: 'completed',
+      progress: 100,
+      output: { fileName: download.fileName, size: download.size, fileCount: download.fileCount || 1 },
+      outputStored,
+      finishedAt: new Date().toISOString()
+    })
+  }
+
+  fail(jobId, error) {
+    this.finish(jobId)
+    return this.update(jobId, {
+      status: isCancelledError(error) ? 'cancelled' : 'failed',
+      error: error.message,
+      finishedAt: new Date().toISOString()
+    })
+  }
+
+  // Whichever way a job ends, the next queued one may start once listeners have seen the change
+  finish(jobId) {
+    this.settings.delete(jobId)
+    this.cancellers.delete(jobId)
+    setTimeout(() => this.runNext())
+  }
+
+  // A queued job is taken off the queue; a running one stops at its next checkpoint
+  cancel(jobId) {
+    const job = this.jobs.find(item => item.Id === jobId)
+    if (job?.status === 'queued') {
+      this.fail(jobId, { name: 'AbortError', message: 'Cancelled before it started' })
+    } else {
+      this.cancellers.get(jobId)?.()
+    }
+  }
+
+  isBusy() {
+    return this.jobs.some(isJobPending)
+  }
+
+  // Files a pending job still has to read can't be removed or re-imported
+  usesFile(fileId) {
+    return [...this.settings.values()].some(settings => settings.analyses.some(analysis => analysis.file.Id === fileId))
+  }
+
+  // Only finished jobs are removed; their output goes with them
+  async remove(jobId) {
+    this.jobs = this.jobs.filter(job => job.Id !== jobId)
+    this.unstoredOutputs.delete(jobId)
+    this.notify()
+    await jobService.delete(jobId)
+  }
+
+  // Empties the history but keeps the jobs still to run
+  async clearHistory() {
+    this.jobs = this.jobs.filter(isJobPending)
+    this.unstoredOutputs.clear()
+    this.notify()
+    await jobService.clear()
+    await Promise.all(this.jobs.map(job => jobService.save(job)))
+  }
+
+  // Saves a finished job's output again, from memory or from the history
+  async download(job) {
+    const blob = this.unstoredOutputs.get(job.Id) || await jobService.getOutput(job.Id)
+    fileProcessingService.downloadFile(blob, job.output.fileName)
+  }
+
+  // One job at a time, whether it came from the queue or straight from the page
+  async runNext() {
+    if (this.jobs.some(job => job.status === 'running')) return
+    const next = this.jobs.find(job => job.status === 'queued')
+    if (!next) return
+
+    const controller = new AbortController()
+    this.cancellers.set(next.Id, () => controller.abort())
+    this.update(next.Id, { status: 'running', startedAt: new Date().toISOString() })
+
+    try {
+      const download = await fileProcessingService.runJob(this.settings.get(next.Id), {
+        onProgress: (progress) => this.reportProgress(next.Id, progress),
+        signal: controller.signal
+      })
+      await this.complete(next.Id, download)
+    } catch (error) {
+      this.fail(next.Id, error)
+    }
+  }
+}
+
+export default new JobQueueService()
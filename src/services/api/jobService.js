@@ -0,0 +1,108 @@
+// Job history in IndexedDB: one store for the records, one for the output files, so listing the
+// history never loads the files themselves. Outputs are kept until their job is deleted.
+
+const DB_NAME = 'sheetsplitter'
+const DB_VERSION = 1
+const JOB_STORE = 'jobs'
+const OUTPUT_STORE = 'outputs'
+
+let databasePromise = null
+
+const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('This browser cannot keep a job history'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(JOB_STORE)) db.createObjectStore(JOB_STORE, { keyPath: 'Id' })
+        if (!db.objectStoreNames.contains(OUTPUT_STORE)) db.createObjectStore(OUTPUT_STORE)
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    }).catch(error => {
+      // A later call may succeed, e.g. once private browsing is turned off
+      databasePromise = null
+      throw error
+    })
+  }
+  return databasePromise
+}
+
+// Runs action(stores) in one transaction and resolves with the value of the request it returns
+const transact = async (storeNames, mode, action) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode)
+    const stores = storeNames.map(name => transaction.objectStore(name))
+    const request = action(...stores)
+    transaction.oncomplete = () => resolve(request ? request.result : undefined)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+let lastJobId = 0
+
+class JobService {
+  nextId() {
+    lastJobId = Math.max(Date.now(), lastJobId + 1)
+    return lastJobId
+  }
+
+  // Newest first
+  async getAll() {
+    const jobs = await transact([JOB_STORE], 'readonly', store => store.getAll())
+    return jobs.sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+  }
+
+  async save(job) {
+    await transact([JOB_STORE], 'readwrite', store => store.put(job))
+    return job
+  }
+
+  async delete(id) {
+    await transact([JOB_STORE, OUTPUT_STORE], 'readwrite', (jobs, outputs) => {
+      jobs.delete(id)
+      outputs.delete(id)
+    })
+    return true
+  }
+
+  async clear() {
+    await transact([JOB_STORE, OUTPUT_STORE], 'readwrite', (jobs, outputs) => {
+      jobs.clear()
+      outputs.clear()
+    })
+    return true
+  }
+
+  // Throws when the browser's storage quota is used up; the job itself still counts as done
+  async saveOutput(id, blob) {
+    await transact([OUTPUT_STORE], 'readwrite', store => store.put(blob, id))
+  }
+
+  async getOutput(id) {
+    const blob = await transact([OUTPUT_STORE], 'readonly', store => store.get(id))
+    if (!blob) {
+      throw new Error('The output of this job is no longer stored')
+    }
+    return blob
+  }
+
+  // Jobs still queued or running when the page was closed can't go on: their files are gone
+  async markInterrupted() {
+    const jobs = await this.getAll()
+    const stale = jobs.filter(job => job.status === 'queued' || job.status === 'running')
+    await Promise.all(stale.map(job => this.save({
+      ...job,
+      status: 'interrupted',
+      error: 'The page was closed before the job finished'
+    })))
+  }
+}
+
+export default new JobService()
@@ -0,0 +1,64 @@
+import { saveAs } from 'file-saver'
+import { parsePreset } from '@/utils/presets'
+
+const STORAGE_KEY = 'sheetsplitter_presets'
+
+class PresetService {
+  readAll() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+    } catch (error) {
+      return []
+    }
+  }
+
+  writeAll(presets) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(presets))
+  }
+
+  async getAll() {
+    return this.readAll()
+  }
+
+  // preset comes from createPreset; saving under an existing name replaces that preset
+  async save(preset) {
+    const trimmedName = String(preset.name || '').trim()
+    if (!trimmedName) {
+      throw new Error('Please enter a name for the preset')
+    }
+
+    const presets = this.readAll()
+    const existing = presets.find(item => item.name.toLowerCase() === trimmedName.toLowerCase())
+    const saved = {
+      ...preset,
+      Id: existing ? existing.Id : Date.now(),
+      name: trimmedName,
+      updatedAt: new Date().toISOString()
+    }
+
+    this.writeAll(existing
+      ? presets.map(item => (item.Id === existing.Id ? saved : item))
+      : [...presets, saved])
+
+    return saved
+  }
+
+  async delete(id) {
+    this.writeAll(this.readAll().filter(preset => preset.Id !== id))
+    return true
+  }
+
+  // The shared file leaves out the local Id, so importing it elsewhere files it under its name
+  exportPreset(preset) {
+    const { Id: _id, updatedAt: _updatedAt, ...shared } = preset
+    const blob = new Blob([JSON.stringify(shared, null, 2)], { type: 'application/json' })
+    saveAs(blob, `${preset.name.replace(/[\\/:*?"<>|]/g, '_')}.preset.json`)
+  }
+
+  async importPreset(file) {
+    const preset = parsePreset(await file.text())
+    return this.save(preset)
+  }
+}
+
+export default new PresetService()
@@ -0,0 +1,137 @@
+// A column mapping is an ordered list of output columns, each fed by one or more source headers:
+// [{ name: 'CustomerId', sources: ['Cust ID', 'CustomerId'] }]
+// Source headers that appear in no column are dropped from the output.
+
+export const normalizeHeader = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '')
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i)
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i]
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      )
+    }
+    previous = current
+  }
+  return previous[b.length]
+}
+
+const isSubsequence = (shorter, longer) => {
+  let position = 0
+  for (const char of longer) {
+    if (char === shorter[position]) position++
+    if (position === shorter.length) return true
+  }
+  return false
+}
+
+// Case- and punctuation-insensitive equality, abbreviations ("Cust ID" / "CustomerId") and small typos
+export const headersMatch = (a, b) => {
+  const x = normalizeHeader(a)
+  const y = normalizeHeader(b)
+  if (!x || !y) return false
+  if (x === y) return true
+
+  const [shorter, longer] = x.length <= y.length ? [x, y] : [y, x]
+  if (
+    shorter.length >= 4 &&
+    shorter[0] === longer[0] &&
+    shorter.length / longer.length >= 0.6 &&
+    isSubsequence(shorter, longer)
+  ) {
+    return true
+  }
+
+  return 1 - levenshtein(x, y) / longer.length >= 0.8
+}
+
+const findMatchingColumn = (columns, header) => columns.find(column => (
+  headersMatch(column.name, header) || column.sources.some(source => headersMatch(source, header))
+))
+
+export const suggestColumnMapping = (headers) => {
+  const columns = []
+  headers.forEach(header => {
+    const match = findMatchingColumn(columns, header)
+    if (match) {
+      match.sources.push(header)
+    } else {
+      columns.push({ name: header, sources: [header] })
+    }
+  })
+  return columns
+}
+
+// Fits a saved mapping to newly uploaded files: headers it doesn't know yet are matched against its columns
+export const reconcileColumnMapping = (columns, headers) => {
+  const reconciled = columns.map(column => ({ ...column, sources: [...column.sources] }))
+  const mapped = new Set(reconciled.flatMap(column => column.sources))
+
+  headers.filter(header => !mapped.has(header)).forEach(header => {
+    const match = findMatchingColumn(reconciled, header)
+    if (match) {
+      match.sources.push(header)
+    }
+  })
+
+  return reconciled
+}
+
+export const getUnmappedHeaders = (columns, headers) => {
+  const mapped = new Set(columns.flatMap(column => column.sources))
+  return headers.filter(header => !mapped.has(header))
+}
+
+export const buildHeaderLookup = (columns) => {
+  const lookup = new Map()
+  columns.forEach(column => {
+    column.sources.forEach(source => {
+      if (!lookup.has(source)) {
+        lookup.set(source, column.name)
+      }
+    })
+  })
+  return lookup
+}
+
+// Lines up the header rows of analysed worksheets, optionally through a column mapping
+export const compareHeaders = (workbookAnalyses, columnMapping = null) => {
+  const sheets = []
+  const columns = columnMapping ? columnMapping.map(column => column.name) : []
+  const lookup = columnMapping ? buildHeaderLookup(columnMapping) : null
+
+  workbookAnalyses.forEach(analysis => {
+    analysis.worksheets.forEach(worksheet => {
+      let headers = worksheet.headers || []
+      if (lookup) {
+        // Compare by output column; unmapped headers are dropped and don't count as extra
+        headers = [...new Set(headers.filter(name => lookup.has(name)).map(name => lookup.get(name)))]
+      }
+      headers.forEach(name => {
+        if (!columns.includes(name)) {
+          columns.push(name)
+        }
+      })
+      sheets.push({ fileName: analysis.file.name, sheetName: worksheet.name, headers })
+    })
+  })
+
+  // The first selected sheet defines the expected layout
+  const reference = sheets.length > 0 ? sheets[0].headers : []
+  const report = sheets.map(({ fileName, sheetName, headers }) => ({
+    fileName,
+    sheetName,
+    missing: reference.filter(name => !headers.includes(name)),
+    extra: headers.filter(name => !reference.includes(name))
+  }))
+
+  return {
+    columns,
+    sheets: report,
+    mismatched: report.some(sheet => sheet.missing.length > 0 || sheet.extra.length > 0)
+  }
+}
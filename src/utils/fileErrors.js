@@ -0,0 +1,10 @@
+// Why a single upload couldn't be loaded. The code travels with the Error (also across the worker)
+// so the file list can say what is wrong and offer the right fix.
+export const FILE_ERROR_LABELS = {
+  unsupported: 'Wrong file type',
+  tooLarge: 'Too large',
+  corrupt: 'Corrupt or unreadable',
+  password: 'Password-protected'
+}
+
+export const createFileError = (code, message) => Object.assign(new Error(message), { code })
@@ -0,0 +1,30 @@
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xls', '.xlsm', '.xlsb', '.ods']
+export const TEXT_EXTENSIONS = ['.csv', '.tsv', '.txt']
+export const SUPPORTED_EXTENSIONS = [...SPREADSHEET_EXTENSIONS, ...TEXT_EXTENSIONS]
+
+export const SUPPORTED_MIME_TYPES = [
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-excel',
+  'application/vnd.ms-excel.sheet.macroEnabled.12',
+  'application/vnd.ms-excel.sheet.binary.macroEnabled.12',
+  'application/vnd.oasis.opendocument.spreadsheet',
+  'text/csv',
+  'text/tab-separated-values',
+  'text/plain'
+]
+
+const TEXT_MIME_TYPES = ['text/csv', 'text/tab-separated-values', 'text/plain']
+
+// Value for <input type="file" accept>
+export const ACCEPTED_FILE_TYPES = [...SUPPORTED_EXTENSIONS, ...SUPPORTED_MIME_TYPES].join(',')
+
+export const getFileExtension = (fileName) => {
+  const dotIndex = fileName.lastIndexOf('.')
+  return dotIndex === -1 ? '' : fileName.slice(dotIndex).toLowerCase()
+}
+
+// Delimited text by its extension, or by its MIME type when it was saved without a spreadsheet extension
+export const isTextFile = (file) => {
+  const extension = getFileExtension(file.name)
+  return TEXT_EXTENSIONS.includes(extension) || (!SPREADSHEET_EXTENSIONS.includes(extension) && TEXT_MIME_TYPES.includes(file.type))
+}
@@ -0,0 +1,6 @@
+export const formatFileSize = (bytes) => {
+  const mb = bytes / (1024 * 1024)
+  return mb < 1 ? `${(bytes / 1024).toFixed(0)}KB` : `${mb.toFixed(1)}MB`
+}
+
+export const getBaseName = (fileName) => fileName.replace(/\.[^/.]+$/, '')
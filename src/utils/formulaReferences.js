@@ -0,0 +1,35 @@
+// Sheet references inside formulas: Sales!A1, 'Q1 Sales'!A1:B2, 'Bob''s'!A1 and 3D ranges like Jan:Mar!B2.
+// Text in double quotes is skipped, and references into other workbooks ([1]Sales!A1) are left as written.
+const FORMULA_PARTS = /("(?:[^"]|"")*")|'((?:[^']|'')+)'!|(?<![\p{L}\p{N}_.\]])([\p{L}_\\][\p{L}\p{N}_.]*(?::[\p{L}_\\][\p{L}\p{N}_.]*)?)!/gu
+
+// Quoting is always allowed, so names are quoted whether or not they need it
+export const quoteSheetName = (name) => `'${name.replace(/'/g, "''")}'`
+
+// renameSheet(name) returns the sheet's new name, or undefined when the sheet isn't in the output.
+// References to those sheets are kept as written and returned in `missing`.
+export const renameFormulaSheets = (formula, renameSheet) => {
+  const missing = []
+
+  const renamed = formula.replace(FORMULA_PARTS, (match, text, quoted, plain) => {
+    if (text !== undefined) return match
+    const written = quoted !== undefined ? quoted.replace(/''/g, "'") : plain
+    if (written.startsWith('[')) return match
+
+    const names = written.split(':')
+    const newNames = names.map(name => renameSheet(name))
+    if (newNames.some(name => name === undefined)) {
+      missing.push(written)
+      return match
+    }
+    if (newNames.every((name, index) => name === names[index])) return match
+    return `${quoteSheetName(newNames.join(':'))}!`
+  })
+
+  return { formula: renamed, missing }
+}
+
+// Looks sheets up the way Excel does, ignoring case
+export const createSheetRenamer = (renames) => {
+  const lookup = new Map([...renames].map(([from, to]) => [from.toLowerCase(), to]))
+  return (name) => lookup.get(name.toLowerCase())
+}
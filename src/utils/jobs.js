@@ -0,0 +1,87 @@
+// A job is one combine or split run, from the moment it is queued. Records are kept as history:
+// { Id, type, status, progress, inputs, settings, output, outputStored, error, createdAt, startedAt, finishedAt }
+// where inputs are [{ fileName, size, worksheets: [{ name, index, rowCount, columnCount }] }] and
+// output is { fileName, size, fileCount } once the job is done.
+
+export const JOB_STATUSES = {
+  queued: { label: 'Queued', icon: 'Clock', className: 'bg-surface-100 text-surface-600 border-surface-200' },
+  running: { label: 'Running', icon: 'Loader2', className: 'bg-primary/10 text-primary border-primary/20' },
+  completed: { label: 'Completed', icon: 'CheckCircle', className: 'bg-green-50 text-green-700 border-green-200' },
+  failed: { label: 'Failed', icon: 'XCircle', className: 'bg-red-50 text-red-700 border-red-200' },
+  cancelled: { label: 'Cancelled', icon: 'Ban', className: 'bg-surface-100 text-surface-600 border-surface-200' },
+  interrupted: { label: 'Interrupted', icon: 'AlertTriangle', className: 'bg-warning/10 text-warning border-warning/20' }
+}
+
+export const isJobPending = (job) => job.status === 'queued' || job.status === 'running'
+
+export const jobInputs = (analyses) => analyses.map(analysis => ({
+  fileName: analysis.file.name,
+  size: analysis.file.size,
+  worksheets: analysis.worksheets.map(({ name, index, rowCount, columnCount }) => ({ name, index, rowCount, columnCount }))
+}))
+
+const COMBINE_MODES = { sheets: 'Separate tabs', append: 'Stacked into one table', join: 'Joined' }
+const SPLIT_MODES = { sheets: 'One file per sheet', column: 'By column value', chunks: 'Into parts' }
+
+// What the history keeps of a run's settings: plain values only, and never a password
+export const storedJobSettings = (settings) => {
+  const filteredSheets = Object.keys(settings.filters || {}).length
+
+  if (settings.type === 'split') {
+    return {
+      splitBy: settings.splitBy,
+      format: settings.splitFormat,
+      namePattern: settings.splitBy === 'column' ? settings.columnSplit.namePattern : settings.namePattern,
+      sheet: settings.splitSheet ? `${settings.splitSheet.fileName} › ${settings.splitSheet.sheetName}` : null,
+      column: settings.splitBy === 'column' ? settings.columnSplit.column : null,
+      chunks: settings.splitBy === 'chunks' ? { by: settings.chunkSplit.by, rowsPerPart: settings.chunkSplit.rowsPerPart, maxBytes: settings.chunkSplit.maxBytes } : null,
+      filteredSheets
+    }
+  }
+
+  return {
+    combineMode: settings.combineMode,
+    format: settings.outputFormat,
+    indexSheet: settings.combineMode === 'sheets' && settings.addIndexSheet,
+    sourceColumns: settings.combineMode === 'append' && settings.addSourceColumns,
+    columnMapping: settings.combineMode === 'append' && !!settings.columnMapping,
+    dedupe: settings.combineMode === 'append' && !!settings.dedupe,
+    join: settings.combineMode === 'join'
+      ? { left: settings.join.labels[0], right: settings.join.labels[1], type: settings.join.type, keys: settings.join.keys }
+      : null,
+    encrypted: !!settings.protection?.password,
+    locked: !!(settings.protection?.lockStructure || settings.protection?.lockSheets),
+    filteredSheets
+  }
+}
+
+// Short labels for the history list, from storedJobSettings
+export const describeJobSettings = (type, settings) => {
+  const labels = []
+
+  if (type === 'split') {
+    labels.push(SPLIT_MODES[settings.splitBy], settings.format.toUpperCase())
+    if (settings.sheet) labels.push(settings.sheet)
+    if (settings.column) labels.push(`by ${settings.column}`)
+    if (settings.chunks) {
+      labels.push(settings.chunks.by === 'rows'
+        ? `${settings.chunks.rowsPerPart} rows per part`
+        : `${Math.round((settings.chunks.maxBytes / (1024 * 1024)) * 10) / 10} MB per part`)
+    }
+    labels.push(`Names: ${settings.namePattern}`)
+  } else {
+    labels.push(COMBINE_MODES[settings.combineMode], settings.format.toUpperCase())
+    if (settings.join) labels.push(`${settings.join.type} join of ${settings.join.left} and ${settings.join.right}`)
+    if (settings.indexSheet) labels.push('Index tab')
+    if (settings.sourceColumns) labels.push('Source columns')
+    if (settings.columnMapping) labels.push('Column mapping')
+    if (settings.dedupe) labels.push('Duplicates removed')
+    if (settings.encrypted) labels.push('Password to open')
+    if (settings.locked) labels.push('Locked')
+  }
+
+  if (settings.filteredSheets > 0) {
+    labels.push(`${settings.filteredSheets} filtered ${settings.filteredSheets === 1 ? 'sheet' : 'sheets'}`)
+  }
+  return labels
+}
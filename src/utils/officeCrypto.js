@@ -0,0 +1,340 @@
+import * as XLSX from 'xlsx'
+import { createFileError } from '@/utils/fileErrors'
+
+// Password-encrypted Office files ([MS-OFFCRYPTO]): the real .xlsx/.xlsm/.xlsb package sits encrypted
+// inside a compound file next to an EncryptionInfo stream. Agile (Office 2010+) and Standard
+// (Office 2007) AES encryption are read; output is always written with Agile AES-256/SHA-512.
+// Everything runs locally through WebCrypto.
+
+const subtle = globalThis.crypto.subtle
+
+const HASH_ALGORITHMS = { SHA1: 'SHA-1', SHA256: 'SHA-256', SHA384: 'SHA-384', SHA512: 'SHA-512' }
+
+const BLOCK_KEYS = {
+  verifierHashInput: [0xfe, 0xa7, 0xd2, 0x76, 0x3b, 0x4b, 0x9e, 0x79],
+  verifierHashValue: [0xd7, 0xaa, 0x0f, 0x6d, 0x30, 0x61, 0x34, 0x4e],
+  keyValue: [0x14, 0x6e, 0x0b, 0xe7, 0xab, 0xac, 0xd0, 0xd6],
+  hmacKey: [0x5f, 0xb2, 0xad, 0x01, 0x0c, 0xb9, 0xe1, 0xf6],
+  hmacValue: [0xa0, 0x67, 0x7f, 0x02, 0xb2, 0x2c, 0x84, 0x33]
+}
+
+const SEGMENT_LENGTH = 4096
+const AES_BLOCK = 16
+const STANDARD_AES_IDS = [0x660e, 0x660f, 0x6610] // AES-128, AES-192, AES-256
+
+const wrongPassword = () => createFileError('password', 'The password is incorrect.')
+const unsupportedEncryption = () => createFileError(
+  'password',
+  "This workbook's encryption type isn't supported. Remove the password in Excel, or save it as .xlsx, and try again."
+)
+
+const concat = (...parts) => {
+  const out = new Uint8Array(parts.reduce((total, part) => total + part.length, 0))
+  let offset = 0
+  parts.forEach(part => {
+    out.set(part, offset)
+    offset += part.length
+  })
+  return out
+}
+
+const uint32 = (value) => {
+  const bytes = new Uint8Array(4)
+  new DataView(bytes.buffer).setUint32(0, value, true)
+  return bytes
+}
+
+const uint64 = (value) => concat(uint32(value % 0x100000000), uint32(Math.floor(value / 0x100000000)))
+
+const utf16 = (text) => {
+  const bytes = new Uint8Array(text.length * 2)
+  for (let i = 0; i < text.length; i++) {
+    bytes[i * 2] = text.charCodeAt(i) & 0xff
+    bytes[i * 2 + 1] = text.charCodeAt(i) >> 8
+  }
+  return bytes
+}
+
+const randomBytes = (length) => globalThis.crypto.getRandomValues(new Uint8Array(length))
+
+const toBase64 = (bytes) => btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join(''))
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0))
+
+const bytesEqual = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i])
+
+// Truncates, or pads with the given byte, to an exact length
+const fit = (bytes, length, fill) => {
+  if (bytes.length >= length) return bytes.slice(0, length)
+  const out = new Uint8Array(length).fill(fill)
+  out.set(bytes)
+  return out
+}
+
+const padToBlock = (bytes) => fit(bytes, Math.ceil(bytes.length / AES_BLOCK) * AES_BLOCK, 0)
+
+const digest = async (algorithm, ...parts) => new Uint8Array(await subtle.digest(algorithm, concat(...parts)))
+
+// H0 = H(salt + password), then spinCount rounds of H(iterator + H)
+const hashPassword = async (algorithm, salt, password, spinCount) => {
+  let hash = await digest(algorithm, salt, utf16(password))
+  const buffer = new Uint8Array(4 + hash.length)
+  const view = new DataView(buffer.buffer)
+
+  for (let i = 0; i < spinCount; i++) {
+    view.setUint32(0, i, true)
+    buffer.set(hash, 4)
+    hash = new Uint8Array(await subtle.digest(algorithm, buffer))
+  }
+  return hash
+}
+
+const importAesKey = (keyBytes) => subtle.importKey('raw', keyBytes, 'AES-CBC', false, ['encrypt', 'decrypt'])
+
+// WebCrypto only does PKCS#7-padded CBC while Office data is block-aligned and unpadded:
+// encryption drops the padding block, decryption appends one that decrypts to valid padding.
+const aesCbcEncrypt = async (key, iv, data) => (
+  new Uint8Array(await subtle.encrypt({ name: 'AES-CBC', iv }, key, data)).slice(0, data.length)
+)
+
+const aesCbcDecrypt = async (key, iv, data) => {
+  if (data.length === 0) return new Uint8Array(0)
+  const padding = await aesCbcEncrypt(key, data.subarray(data.length - AES_BLOCK), new Uint8Array(AES_BLOCK).fill(AES_BLOCK))
+  return new Uint8Array(await subtle.decrypt({ name: 'AES-CBC', iv }, key, concat(data, padding)))
+}
+
+// ECB from one CBC pass: undo the chaining by XOR-ing each block with the previous ciphertext block
+const aesEcbDecrypt = async (key, data) => {
+  const out = await aesCbcDecrypt(key, new Uint8Array(AES_BLOCK), data)
+  for (let i = AES_BLOCK; i < out.length; i++) {
+    out[i] ^= data[i - AES_BLOCK]
+  }
+  return out
+}
+
+const readAttributes = (xml, tagName) => {
+  const tag = xml.match(new RegExp(`<${tagName}\\s[^>]*>`))
+  if (!tag) throw unsupportedEncryption()
+  const attributes = {}
+  for (const [, name, value] of tag[0].matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[name] = value
+  }
+  return attributes
+}
+
+const readStream = (cfb, name) => {
+  const entry = XLSX.CFB.find(cfb, name)
+  return entry && entry.content ? Uint8Array.from(entry.content) : null
+}
+
+const readPackageSize = (packageStream) => {
+  const view = new DataView(packageStream.buffer, packageStream.byteOffset, 8)
+  return view.getUint32(0, true) + view.getUint32(4, true) * 0x100000000
+}
+
+const encryptedBody = (packageStream) => {
+  const body = packageStream.subarray(8)
+  return body.subarray(0, body.length - (body.length % AES_BLOCK))
+}
+
+const decryptAgile = async (info, packageStream, password) => {
+  const xml = new TextDecoder().decode(info.subarray(8))
+  const keyData = readAttributes(xml, 'keyData')
+  const encryptedKey = readAttributes(xml, 'p:encryptedKey')
+  const keyHash = HASH_ALGORITHMS[encryptedKey.hashAlgorithm]
+  const dataHash = HASH_ALGORITHMS[keyData.hashAlgorithm]
+  if (!keyHash || !dataHash || encryptedKey.cipherAlgorithm !== 'AES' || keyData.cipherAlgorithm !== 'AES'
+    || encryptedKey.cipherChaining !== 'ChainingModeCBC' || keyData.cipherChaining !== 'ChainingModeCBC') {
+    throw unsupportedEncryption()
+  }
+
+  const keyLength = Number(encryptedKey.keyBits) / 8
+  const passwordSalt = fromBase64(encryptedKey.saltValue)
+  const passwordHash = await hashPassword(keyHash, passwordSalt, password, Number(encryptedKey.spinCount))
+  const passwordKey = async (blockKey) => importAesKey(fit(await digest(keyHash, passwordHash, new Uint8Array(blockKey)), keyLength, 0x36))
+  const iv = fit(passwordSalt, Number(encryptedKey.blockSize), 0x36)
+
+  const verifierInput = await aesCbcDecrypt(await passwordKey(BLOCK_KEYS.verifierHashInput), iv, fromBase64(encryptedKey.encryptedVerifierHashInput))
+  const verifierHash = await aesCbcDecrypt(await passwordKey(BLOCK_KEYS.verifierHashValue), iv, fromBase64(encryptedKey.encryptedVerifierHashValue))
+  const expectedHash = await digest(keyHash, verifierInput.subarray(0, Number(encryptedKey.saltSize)))
+  if (!bytesEqual(expectedHash, verifierHash.subarray(0, expectedHash.length))) {
+    throw wrongPassword()
+  }
+
+  const secretKey = await aesCbcDecrypt(await passwordKey(BLOCK_KEYS.keyValue), iv, fromBase64(encryptedKey.encryptedKeyValue))
+  const key = await importAesKey(secretKey.subarray(0, Number(keyData.keyBits) / 8))
+  const keySalt = fromBase64(keyData.saltValue)
+  const blockSize = Number(keyData.blockSize)
+  const segmentIv = async (index) => fit(await digest(dataHash, keySalt, uint32(index)), blockSize, 0x36)
+
+  // Every 4096-byte segment has its own IV. One CBC pass chains each segment to the end of the
+  // previous one instead, so the first block of each later segment is corrected afterwards.
+  const encrypted = encryptedBody(packageStream)
+  const plain = await aesCbcDecrypt(key, await segmentIv(0), encrypted)
+  for (let segment = 1; segment * SEGMENT_LENGTH < encrypted.length; segment++) {
+    const offset = segment * SEGMENT_LENGTH
+    const iv = await segmentIv(segment)
+    for (let i = 0; i < blockSize; i++) {
+      plain[offset + i] ^= encrypted[offset - blockSize + i] ^ iv[i]
+    }
+  }
+
+  return plain.subarray(0, readPackageSize(packageStream))
+}
+
+const decryptStandard = async (info, packageStream, password) => {
+  const view = new DataView(info.buffer, info.byteOffset, info.length)
+  const headerSize = view.getUint32(8, true)
+  const algorithmId = view.getUint32(20, true)
+  const keyBits = view.getUint32(28, true)
+  if (!STANDARD_AES_IDS.includes(algorithmId)) {
+    throw unsupportedEncryption()
+  }
+
+  let offset = 12 + headerSize
+  const saltSize = view.getUint32(offset, true)
+  const salt = info.subarray(offset + 4, offset + 4 + saltSize)
+  offset += 4 + saltSize
+  const encryptedVerifier = info.subarray(offset, offset + 16)
+  offset += 16
+  const verifierHashSize = view.getUint32(offset, true)
+  const encryptedVerifierHash = info.subarray(offset + 4, offset + 4 + 32)
+
+  // SHA-1 password hash, then the CryptoAPI key derivation
+  const passwordHash = await hashPassword('SHA-1', salt, password, 50000)
+  const finalHash = await digest('SHA-1', passwordHash, uint32(0))
+  const derive = (fill) => digest('SHA-1', new Uint8Array(64).fill(fill).map((byte, i) => (i < finalHash.length ? byte ^ finalHash[i] : byte)))
+  const keyBytes = concat(await derive(0x36), await derive(0x5c)).subarray(0, keyBits / 8)
+  const key = await importAesKey(keyBytes)
+
+  const verifier = await aesEcbDecrypt(key, encryptedVerifier)
+  const verifierHash = await aesEcbDecrypt(key, encryptedVerifierHash)
+  if (!bytesEqual(await digest('SHA-1', verifier), verifierHash.subarray(0, verifierHashSize))) {
+    throw wrongPassword()
+  }
+
+  const plain = await aesEcbDecrypt(key, encryptedBody(packageStream))
+  return plain.subarray(0, readPackageSize(packageStream))
+}
+
+const readEncryptedContainer = (data) => {
+  // Compound file signature; plain .xlsx files are ZIPs and .xls files have no EncryptionInfo
+  if (data.length < 8 || data[0] !== 0xd0 || data[1] !== 0xcf || data[2] !== 0x11 || data[3] !== 0xe0) return null
+  try {
+    const cfb = XLSX.CFB.read(data, { type: 'array' })
+    const info = readStream(cfb, 'EncryptionInfo')
+    const packageStream = readStream(cfb, 'EncryptedPackage')
+    return info && packageStream ? { info, packageStream } : null
+  } catch (error) {
+    return null
+  }
+}
+
+export const isEncryptedPackage = (data) => readEncryptedContainer(data) !== null
+
+export const decryptPackage = async (data, password) => {
+  const { info, packageStream } = readEncryptedContainer(data)
+  const major = info[0] | (info[1] << 8)
+  const minor = info[2] | (info[3] << 8)
+
+  if (major === 4 && minor === 4) {
+    return decryptAgile(info, packageStream, password)
+  }
+  if ((major === 3 || major === 4) && minor === 2) {
+    return decryptStandard(info, packageStream, password)
+  }
+  throw unsupportedEncryption()
+}
+
+// UNICODE-LP-P4: byte length, UTF-16 text, padded to four bytes
+const lengthPrefixed = (text) => {
+  const bytes = utf16(text)
+  return concat(uint32(bytes.length), bytes, new Uint8Array((4 - (bytes.length % 4)) % 4))
+}
+
+// The \x06DataSpaces storage that tells Office the package is behind the encryption transform
+const dataSpaceStreams = () => {
+  const version = () => concat(uint32(1), uint32(1), uint32(1)).map((byte, i) => (i % 4 < 2 ? byte : 0))
+  const versionInfo = concat(lengthPrefixed('Microsoft.Container.DataSpaces'), version())
+  const mapEntryBody = concat(uint32(1), uint32(0), lengthPrefixed('EncryptedPackage'), lengthPrefixed('StrongEncryptionDataSpace'))
+  const dataSpaceMap = concat(uint32(8), uint32(1), uint32(mapEntryBody.length + 4), mapEntryBody)
+  const dataSpaceDefinition = concat(uint32(8), uint32(1), lengthPrefixed('StrongEncryptionTransform'))
+  const transformId = lengthPrefixed('{FF9A3F03-56EF-4613-BDD5-5A41C1D07246}')
+  const primary = concat(
+    uint32(8 + transformId.length),
+    uint32(1),
+    transformId,
+    lengthPrefixed('Microsoft.Container.EncryptionTransform'),
+    version(),
+    uint32(0), // no encryption name
+    uint32(0), // block size
+    uint32(0), // cipher mode
+    uint32(4)  // reserved
+  )
+
+  return {
+    '/\u0006DataSpaces/Version': versionInfo,
+    '/\u0006DataSpaces/DataSpaceMap': dataSpaceMap,
+    '/\u0006DataSpaces/DataSpaceInfo/StrongEncryptionDataSpace': dataSpaceDefinition,
+    '/\u0006DataSpaces/TransformInfo/StrongEncryptionTransform/\u0006Primary': primary
+  }
+}
+
+export const encryptPackage = async (data, password) => {
+  const spinCount = 100000
+  const keySalt = randomBytes(16)
+  const passwordSalt = randomBytes(16)
+  const secretKey = randomBytes(32)
+  const verifierInput = randomBytes(16)
+  const hmacKey = randomBytes(64)
+  const key = await importAesKey(secretKey)
+  const dataIv = async (blockKey) => fit(await digest('SHA-512', keySalt, blockKey), AES_BLOCK, 0x36)
+
+  const segments = []
+  for (let offset = 0, index = 0; offset < data.length; offset += SEGMENT_LENGTH, index++) {
+    segments.push(await aesCbcEncrypt(key, await dataIv(uint32(index)), padToBlock(data.subarray(offset, offset + SEGMENT_LENGTH))))
+  }
+  const packageStream = concat(uint64(data.length), ...segments)
+
+  const passwordHash = await hashPassword('SHA-512', passwordSalt, password, spinCount)
+  const passwordKey = async (blockKey) => importAesKey(fit(await digest('SHA-512', passwordHash, new Uint8Array(blockKey)), 32, 0x36))
+  const encryptWithPassword = async (blockKey, value) => toBase64(await aesCbcEncrypt(await passwordKey(blockKey), passwordSalt, value))
+
+  const hmacSigningKey = await subtle.importKey('raw', hmacKey, { name: 'HMAC', hash: 'SHA-512' }, false, ['sign'])
+  const hmacValue = new Uint8Array(await subtle.sign('HMAC', hmacSigningKey, packageStream))
+  const encryptedHmacKey = await aesCbcEncrypt(key, await dataIv(new Uint8Array(BLOCK_KEYS.hmacKey)), hmacKey)
+  const encryptedHmacValue = await aesCbcEncrypt(key, await dataIv(new Uint8Array(BLOCK_KEYS.hmacValue)), hmacValue)
+
+  const cipher = 'saltSize="16" blockSize="16" keyBits="256" hashSize="64" cipherAlgorithm="AES" cipherChaining="ChainingModeCBC" hashAlgorithm="SHA512"'
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\r\n'
+    + '<encryption xmlns="http://schemas.microsoft.com/office/2006/encryption" xmlns:p="http://schemas.microsoft.com/office/2006/keyEncryptor/password" xmlns:c="http://schemas.microsoft.com/office/2006/keyEncryptor/certificate">'
+    + `<keyData ${cipher} saltValue="${toBase64(keySalt)}"/>`
+    + `<dataIntegrity encryptedHmacKey="${toBase64(encryptedHmacKey)}" encryptedHmacValue="${toBase64(encryptedHmacValue)}"/>`
+    + '<keyEncryptors><keyEncryptor uri="http://schemas.microsoft.com/office/2006/keyEncryptor/password">'
+    + `<p:encryptedKey spinCount="${spinCount}" ${cipher} saltValue="${toBase64(passwordSalt)}"`
+    + ` encryptedVerifierHashInput="${await encryptWithPassword(BLOCK_KEYS.verifierHashInput, verifierInput)}"`
+    + ` encryptedVerifierHashValue="${await encryptWithPassword(BLOCK_KEYS.verifierHashValue, await digest('SHA-512', verifierInput))}"`
+    + ` encryptedKeyValue="${await encryptWithPassword(BLOCK_KEYS.keyValue, secretKey)}"/>`
+    + '</keyEncryptor></keyEncryptors></encryption>'
+  const info = concat(new Uint8Array([4, 0, 4, 0, 0x40, 0, 0, 0]), new TextEncoder().encode(xml))
+
+  const cfb = XLSX.CFB.utils.cfb_new()
+  Object.entries(dataSpaceStreams()).forEach(([path, content]) => XLSX.CFB.utils.cfb_add(cfb, path, content))
+  XLSX.CFB.utils.cfb_add(cfb, '/EncryptionInfo', info)
+  XLSX.CFB.utils.cfb_add(cfb, '/EncryptedPackage', packageStream)
+
+  return Uint8Array.from(XLSX.CFB.write(cfb, { type: 'array' }))
+}
+
+// Legacy 16-bit hash Excel stores for sheet and workbook structure protection
+export const legacyPasswordHash = (password) => {
+  let hash = 0
+  for (let i = password.length - 1; i >= 0; i--) {
+    hash = ((hash >> 14) & 0x01) | ((hash << 1) & 0x7fff)
+    hash ^= password.charCodeAt(i)
+  }
+  hash = ((hash >> 14) & 0x01) | ((hash << 1) & 0x7fff)
+  hash ^= password.length
+  hash ^= 0xce4b
+  return hash.toString(16).toUpperCase()
+}
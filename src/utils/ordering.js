@@ -0,0 +1,76 @@
+// Order of files and worksheets in the output. The order of workbookAnalyses, and of each analysis's
+// worksheets, is the order tabs are combined and files are added to the split ZIP.
+
+export const FILE_DRAG_TYPE = 'application/x-combine-file'
+export const SHEET_DRAG_TYPE = 'application/x-combine-sheet'
+
+export const SORT_OPTIONS = [
+  { key: 'upload', label: 'Upload order' },
+  { key: 'fileName', label: 'File name (A–Z)' },
+  { key: 'sheetName', label: 'Sheet name (A–Z)' },
+  { key: 'natural', label: 'Natural (Jan–Dec, Q1–Q4, 2 before 10)' }
+]
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december']
+
+// "Jan", "Sept" and "March" are months; "Marketing" is not
+const monthNumber = (word) => {
+  const lower = word.toLowerCase()
+  if (lower.length < 3) return null
+  const index = MONTH_NAMES.findIndex(month => month.startsWith(lower))
+  return index === -1 ? null : index + 1
+}
+
+const naturalParts = (text) => (text.match(/\d+|\p{L}+|[^\d\p{L}]+/gu) || []).map(part => {
+  if (/^\d+$/.test(part)) return { number: Number(part) }
+  const month = monthNumber(part)
+  return month ? { number: month } : { text: part }
+})
+
+// Numbers compare by value and month names by calendar position; everything else alphabetically
+export const naturalCompare = (a, b) => {
+  const left = naturalParts(a)
+  const right = naturalParts(b)
+
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    const x = left[i]
+    const y = right[i]
+    const difference = x.number !== undefined && y.number !== undefined
+      ? x.number - y.number
+      : String(x.text ?? x.number).localeCompare(String(y.text ?? y.number), undefined, { sensitivity: 'base' })
+    if (difference !== 0) return difference
+  }
+  return left.length - right.length
+}
+
+const alphabetical = (a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' })
+
+export const moveItem = (list, fromIndex, toIndex) => {
+  const reordered = [...list]
+  const [moved] = reordered.splice(fromIndex, 1)
+  reordered.splice(toIndex, 0, moved)
+  return reordered
+}
+
+// File Ids grow with upload time, so they also restore the upload order
+export const sortAnalyses = (workbookAnalyses, sortBy) => {
+  const sortSheets = (analysis, compare) => ({
+    ...analysis,
+    worksheets: [...analysis.worksheets].sort(compare)
+  })
+
+  switch (sortBy) {
+    case 'fileName':
+      return [...workbookAnalyses].sort((a, b) => alphabetical(a.file.name, b.file.name))
+    case 'sheetName':
+      return workbookAnalyses.map(analysis => sortSheets(analysis, (a, b) => alphabetical(a.name, b.name)))
+    case 'natural':
+      return [...workbookAnalyses]
+        .sort((a, b) => naturalCompare(a.file.name, b.file.name))
+        .map(analysis => sortSheets(analysis, (a, b) => naturalCompare(a.name, b.name)))
+    default:
+      return [...workbookAnalyses]
+        .sort((a, b) => a.file.Id - b.file.Id)
+        .map(analysis => sortSheets(analysis, (a, b) => a.index - b.index))
+  }
+}
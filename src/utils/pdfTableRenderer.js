@@ -0,0 +1,210 @@
+import * as XLSX from 'xlsx'
+import { jsPDF } from 'jspdf'
+
+const PX_TO_MM = 25.4 / 96
+const PT_TO_MM = 25.4 / 72
+const DEFAULT_COLUMN_PX = 64 // Excel's default 8.43 character column
+const MIN_COLUMN_MM = 8
+const CELL_PADDING = 1.5
+const MARGIN = 10
+const TITLE_HEIGHT = 10
+const FOOTER_HEIGHT = 8
+
+const getColumnWidth = (column) => {
+  let px = DEFAULT_COLUMN_PX
+  if (column?.wpx) {
+    px = column.wpx
+  } else if (column?.wch) {
+    px = column.wch * 7 + 5
+  } else if (column?.width) {
+    px = column.width * 7
+  }
+  return Math.max(px * PX_TO_MM, MIN_COLUMN_MM)
+}
+
+// Groups columns into bands that each fit the printable width; extra bands become continuation pages
+const buildColumnBands = (columns, availableWidth) => {
+  const bands = []
+  let current = []
+  let currentWidth = 0
+
+  columns.forEach(column => {
+    const width = Math.min(column.width, availableWidth)
+    if (current.length > 0 && currentWidth + width > availableWidth) {
+      bands.push(current)
+      current = []
+      currentWidth = 0
+    }
+    current.push({ ...column, width })
+    currentWidth += width
+  })
+
+  if (current.length > 0) {
+    bands.push(current)
+  }
+  return bands
+}
+
+/**
+ * Renders a worksheet as a gridded table.
+ *
+ * Options:
+ * - orientation: 'portrait' | 'landscape'
+ * - wideTables: 'continue' carries columns that don't fit onto continuation pages,
+ *   'fit' scales the whole table down to the page width
+ * - headerRow: repeat the first row at the top of every page
+ */
+export const renderWorksheetPdf = (sheet, sheetName, options = {}) => {
+  const {
+    orientation = 'portrait',
+    pageSize = 'a4',
+    wideTables = 'continue',
+    headerRow = true,
+    fontSize = 8
+  } = options
+
+  const pdf = new jsPDF(orientation === 'landscape' ? 'l' : 'p', 'mm', pageSize)
+  const pageWidth = pdf.internal.pageSize.getWidth()
+  const pageHeight = pdf.internal.pageSize.getHeight()
+  const availableWidth = pageWidth - 2 * MARGIN
+  const bottom = pageHeight - MARGIN - FOOTER_HEIGHT
+  const pageLabels = []
+
+  // Title on the first page only; the footer names the sheet on every page
+  pdf.setFont('helvetica', 'bold')
+  pdf.setFontSize(14)
+  pdf.text(sheetName, MARGIN, MARGIN, { baseline: 'top' })
+
+  const range = sheet?.['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null
+
+  if (!range) {
+    pdf.setFont('helvetica', 'normal')
+    pdf.setFontSize(10)
+    pdf.text('This worksheet is empty.', MARGIN, MARGIN + TITLE_HEIGHT, { baseline: 'top' })
+  } else {
+    const columnInfo = sheet['!cols'] || []
+    const rowInfo = sheet['!rows'] || []
+
+    let columns = []
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      if (!columnInfo[c]?.hidden) {
+        columns.push({ index: c, width: getColumnWidth(columnInfo[c]) })
+      }
+    }
+
+    const rows = []
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      if (!rowInfo[r]?.hidden) {
+        rows.push(r)
+      }
+    }
+
+    let scale = 1
+    if (wideTables === 'fit') {
+      const totalWidth = columns.reduce((total, column) => total + column.width, 0)
+      scale = Math.min(1, availableWidth / totalWidth)
+      columns = columns.map(column => ({ ...column, width: column.width * scale }))
+    }
+
+    const cellFontSize = Math.max(fontSize * scale, 4)
+    const lineHeight = cellFontSize * PT_TO_MM * 1.15
+    const headerIndex = headerRow && rows.length > 1 ? rows[0] : null
+    const bodyRows = headerIndex === null ? rows : rows.slice(1)
+
+    const layoutRow = (rowIndex, band, maxHeight) => {
+      const maxLines = Math.max(1, Math.floor((maxHeight - 2 * CELL_PADDING) / lineHeight))
+      const cells = band.map(column => {
+        const cell = sheet[XLSX.utils.encode_cell({ r: rowIndex, c: column.index })]
+        const text = cell ? XLSX.utils.format_cell(cell) : ''
+        const lines = text ? pdf.splitTextToSize(text, column.width - 2 * CELL_PADDING) : []
+        return {
+          lines: lines.slice(0, maxLines),
+          numeric: cell?.t === 'n',
+          width: column.width
+        }
+      })
+      const lineCount = Math.max(1, ...cells.map(cell => cell.lines.length))
+      return { cells, height: lineCount * lineHeight + 2 * CELL_PADDING }
+    }
+
+    const drawRow = (row, y, isHeader) => {
+      let x = MARGIN
+      row.cells.forEach(cell => {
+        pdf.rect(x, y, cell.width, row.height, isHeader ? 'FD' : 'S')
+        cell.lines.forEach((line, lineIndex) => {
+          const textY = y + CELL_PADDING + lineIndex * lineHeight
+          if (cell.numeric) {
+            pdf.text(line, x + cell.width - CELL_PADDING, textY, { baseline: 'top', align: 'right' })
+          } else {
+            pdf.text(line, x + CELL_PADDING, textY, { baseline: 'top' })
+          }
+        })
+        x += cell.width
+      })
+    }
+
+    pdf.setFontSize(cellFontSize)
+    pdf.setDrawColor(203, 213, 225)
+    pdf.setFillColor(241, 245, 249)
+    pdf.setLineWidth(0.1)
+
+    const bands = buildColumnBands(columns, availableWidth)
+
+    bands.forEach((band, bandIndex) => {
+      const bandLabel = bands.length > 1
+        ? `Columns ${XLSX.utils.encode_col(band[0].index)}–${XLSX.utils.encode_col(band[band.length - 1].index)}`
+        : ''
+      let y = MARGIN + TITLE_HEIGHT
+      if (bandIndex > 0) {
+        pdf.addPage()
+        y = MARGIN
+      }
+      pageLabels[pdf.getNumberOfPages()] = bandLabel
+
+      pdf.setFont('helvetica', 'bold')
+      const header = headerIndex !== null ? layoutRow(headerIndex, band, (bottom - MARGIN) / 2) : null
+      const headerHeight = header ? header.height : 0
+
+      const drawHeader = () => {
+        if (header) {
+          pdf.setFont('helvetica', 'bold')
+          drawRow(header, y, true)
+          y += header.height
+          pdf.setFont('helvetica', 'normal')
+        }
+      }
+
+      drawHeader()
+      pdf.setFont('helvetica', 'normal')
+
+      bodyRows.forEach(rowIndex => {
+        const row = layoutRow(rowIndex, band, bottom - MARGIN - headerHeight)
+        if (y + row.height > bottom) {
+          pdf.addPage()
+          pageLabels[pdf.getNumberOfPages()] = bandLabel
+          y = MARGIN
+          drawHeader()
+        }
+        drawRow(row, y, false)
+        y += row.height
+      })
+    })
+  }
+
+  // Footer: sheet name, column band on continuation pages, page numbers
+  const pageCount = pdf.getNumberOfPages()
+  pdf.setFont('helvetica', 'normal')
+  pdf.setFontSize(8)
+  pdf.setTextColor(100, 116, 139)
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.setPage(page)
+    const footerY = pageHeight - MARGIN
+    pdf.text(sheetName, MARGIN, footerY)
+    if (pageLabels[page]) {
+      pdf.text(pageLabels[page], pageWidth / 2, footerY, { align: 'center' })
+    }
+    pdf.text(`Page ${page} of ${pageCount}`, pageWidth - MARGIN, footerY, { align: 'right' })
+  }
+
+  return pdf
+}
@@ -0,0 +1,305 @@
+import { reconcileColumnMapping } from '@/utils/columnMapping'
+import { filterHeaders } from '@/utils/rowFilters'
+import { sheetNameKey } from '@/utils/sheetNames'
+
+// A preset is the processing setup without the uploads it was made with. File Ids change with every
+// upload, so sheets are referred to by file name and sheet name: { file: 'Sales.xlsx', sheet: 'Q1' }.
+// When a file of that name isn't loaded, the file in the same position takes its place, which is
+// what a monthly "Sales_Jan.xlsx" → "Sales_Feb.xlsx" run needs.
+
+export const PRESET_FORMAT = 'sheetsplitter-preset'
+export const PRESET_VERSION = 1
+
+// Settings copied as they are. Passwords are never part of a preset.
+const PLAIN_SETTINGS = [
+  'combineMode', 'outputFormat', 'sheetNameTemplate', 'addSourceColumns', 'columnMapping',
+  'dedupeOptions', 'addIndexSheet', 'addBackLinks', 'splitBy', 'splitFormat', 'splitNamePattern',
+  'columnSplit', 'chunkSplit', 'pdfOptions'
+]
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+const isStrings = (value) => Array.isArray(value) && value.every(item => typeof item === 'string')
+const isBoolean = (value) => typeof value === 'boolean'
+const isText = (value) => typeof value === 'string'
+const isOneOf = (...allowed) => (value) => allowed.includes(value)
+
+// What validatePreset accepts for each setting, with the words its error uses for it
+const SETTING_CHECKS = {
+  combineMode: { part: 'the combine mode', isValid: isOneOf('sheets', 'append', 'join') },
+  outputFormat: { part: 'the output format', isValid: isOneOf('xlsx', 'xlsm', 'xlsb', 'ods', 'csv', 'json') },
+  sheetNameTemplate: { part: 'the tab name template', isValid: isText },
+  addSourceColumns: { part: 'the source columns option', isValid: isBoolean },
+  columnMapping: {
+    part: 'the column mapping',
+    isValid: (value) => value === null || (Array.isArray(value)
+      && value.every(column => isObject(column) && isText(column.name) && isStrings(column.sources)))
+  },
+  dedupeOptions: {
+    part: 'the duplicate check',
+    isValid: (value) => value === null || (isObject(value) && isStrings(value.columns) && isOneOf('first', 'last')(value.keep)
+      && isBoolean(value.ignoreCase) && isBoolean(value.ignoreWhitespace) && isBoolean(value.duplicatesSheet))
+  },
+  addIndexSheet: { part: 'the index sheet option', isValid: isBoolean },
+  addBackLinks: { part: 'the back links option', isValid: isBoolean },
+  splitBy: { part: 'the split mode', isValid: isOneOf('sheets', 'column', 'chunks') },
+  splitFormat: { part: 'the split format', isValid: isOneOf('pdf', 'xlsx', 'csv', 'tsv') },
+  splitNamePattern: { part: 'the split file name pattern', isValid: isText },
+  columnSplit: {
+    part: 'the column split',
+    isValid: (value) => isObject(value) && isText(value.column) && isText(value.namePattern)
+  },
+  chunkSplit: {
+    part: 'the split into parts',
+    isValid: (value) => isObject(value) && isOneOf('rows', 'size')(value.by)
+      && Number.isFinite(value.rowsPerPart) && Number.isFinite(value.maxMegabytes)
+  },
+  pdfOptions: {
+    part: 'the PDF options',
+    isValid: (value) => isObject(value) && isOneOf(undefined, 'portrait', 'landscape')(value.orientation)
+      && isOneOf(undefined, 'continue', 'fit')(value.wideTables) && isOneOf(undefined, true, false)(value.headerRow)
+  },
+  join: {
+    part: 'the join',
+    isValid: (value) => isObject(value) && isOneOf('left', 'inner', 'full')(value.type) && isBoolean(value.includeTabs)
+      && Array.isArray(value.keys) && value.keys.every(key => isObject(key) && isText(key.left) && isText(key.right))
+  },
+  protection: {
+    part: 'the protection settings',
+    isValid: (value) => isObject(value) && isBoolean(value.lockStructure) && isBoolean(value.lockSheets)
+  }
+}
+
+// "fileId:sheet" keys and "fileId::sheet" ids both start with the file Id
+const splitSheetRef = (value, separator) => {
+  const position = value.indexOf(separator)
+  return { fileId: Number(value.slice(0, position)), sheet: value.slice(position + separator.length) }
+}
+
+// config holds FileProcessor's state; analyses are the loaded files in their current order
+export const createPreset = (name, config, analyses) => {
+  const fileNames = new Map(analyses.map(analysis => [analysis.file.Id, analysis.file.name]))
+  const toRef = ({ fileId, sheet }) => (fileNames.has(fileId) ? { file: fileNames.get(fileId), sheet } : null)
+  const fromKeyed = (entries) => Object.entries(entries)
+    .map(([key, value]) => ({ ref: toRef(splitSheetRef(key, ':')), value }))
+    .filter(entry => entry.ref)
+  const fromId = (id) => (id ? toRef(splitSheetRef(id, '::')) : null)
+
+  const settings = Object.fromEntries(PLAIN_SETTINGS.map(key => [key, config[key]]))
+  settings.protection = { lockStructure: config.protection.lockStructure, lockSheets: config.protection.lockSheets }
+  settings.join = { type: config.joinConfig.type, keys: config.joinConfig.keys, includeTabs: config.joinConfig.includeTabs }
+
+  return {
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    name: name.trim(),
+    files: analyses.map(analysis => analysis.file.name),
+    settings,
+    sheets: analyses.flatMap(analysis => (config.selectedSheets[analysis.file.Id] || [])
+      .map(sheet => ({ file: analysis.file.name, sheet }))),
+    sheetNames: fromKeyed(config.sheetNameOverrides).map(({ ref, value }) => ({ ...ref, name: value })),
+    filters: fromKeyed(config.sheetFilters).map(({ ref, value }) => ({ ...ref, filter: value })),
+    joinLeft: fromId(config.joinConfig.leftId),
+    joinRight: fromId(config.joinConfig.rightId),
+    splitSheet: fromId(config.splitSheetId)
+  }
+}
+
+// Checks the parts resolvePreset reads, so a hand-edited or damaged preset is refused with a reason
+// instead of failing halfway through loading. Lists an older version left out are filled in.
+export const validatePreset = (preset) => {
+  if (!preset || typeof preset !== 'object' || preset.format !== PRESET_FORMAT || !isObject(preset.settings)) {
+    throw new Error('This file is not a saved preset')
+  }
+  if (preset.version > PRESET_VERSION) {
+    throw new Error('This preset was made by a newer version of the app')
+  }
+  if (!String(preset.name || '').trim()) {
+    throw new Error('The preset has no name')
+  }
+
+  const damaged = (part) => new Error(`The preset is damaged: ${part} can't be read`)
+  const list = (value, part, isValid) => {
+    if (value === undefined) return []
+    if (!Array.isArray(value) || !value.every(isValid)) throw damaged(part)
+    return value
+  }
+  const isRef = (ref) => isObject(ref) && typeof ref.file === 'string' && typeof ref.sheet === 'string'
+  const optionalRef = (ref, part) => {
+    if (ref === undefined || ref === null) return null
+    if (!isRef(ref)) throw damaged(part)
+    return ref
+  }
+
+  const filters = list(preset.filters, 'a sheet filter', entry => isRef(entry) && isObject(entry.filter)).map(entry => {
+    const { columns = null, conditions = [] } = entry.filter
+    if ((columns !== null && !isStrings(columns)) || !Array.isArray(conditions)
+      || !conditions.every(condition => isObject(condition) && typeof condition.column === 'string')) {
+      throw damaged(`the filter on "${entry.sheet}"`)
+    }
+    return { ...entry, filter: { ...entry.filter, columns, conditions } }
+  })
+
+  // A setting left out keeps what the page has; one that is there must be usable as it is
+  Object.entries(SETTING_CHECKS).forEach(([key, { part, isValid }]) => {
+    const value = preset.settings[key]
+    if (value !== undefined && !isValid(value)) throw damaged(part)
+  })
+
+  return {
+    ...preset,
+    files: list(preset.files, 'the file list', name => typeof name === 'string'),
+    sheets: list(preset.sheets, 'the sheet selection', isRef),
+    sheetNames: list(preset.sheetNames, 'a tab name', entry => isRef(entry) && typeof entry.name === 'string'),
+    filters,
+    joinLeft: optionalRef(preset.joinLeft, 'the left join sheet'),
+    joinRight: optionalRef(preset.joinRight, 'the right join sheet'),
+    splitSheet: optionalRef(preset.splitSheet, 'the sheet to split')
+  }
+}
+
+export const parsePreset = (text) => {
+  let preset
+  try {
+    preset = JSON.parse(text)
+  } catch (error) {
+    throw new Error('This file is not valid JSON')
+  }
+  return validatePreset(preset)
+}
+
+// Works out FileProcessor state for the loaded files. Everything the files can't satisfy is left out
+// and explained in `warnings`: files, sheets and columns the preset names that aren't there.
+export const resolvePreset = (preset, analyses) => {
+  const warnings = []
+  const loadedByName = new Map(analyses.map(analysis => [analysis.file.name.toLowerCase(), analysis]))
+  const presetFiles = preset.files || []
+
+  const fileMatches = new Map()
+  presetFiles.forEach(name => {
+    const match = loadedByName.get(name.toLowerCase())
+    if (match) fileMatches.set(name, match)
+  })
+  presetFiles.forEach((name, index) => {
+    if (fileMatches.has(name)) return
+    const stand = analyses[index]
+    if (stand && !presetFiles.some(other => other.toLowerCase() === stand.file.name.toLowerCase())) {
+      fileMatches.set(name, stand)
+      warnings.push(`"${name}" isn't loaded, so its settings were used for "${stand.file.name}", the file in the same position`)
+    } else {
+      warnings.push(`"${name}" isn't loaded; its sheets were skipped`)
+    }
+  })
+
+  const missingSheets = new Set()
+  const resolve = (ref) => {
+    if (!ref) return null
+    const analysis = fileMatches.get(ref.file)
+    if (!analysis) return null
+    const worksheet = analysis.worksheets.find(ws => ws.name === ref.sheet)
+    const label = `${analysis.file.name} › ${ref.sheet}`
+    if (!worksheet) {
+      if (!missingSheets.has(label)) warnings.push(`Sheet "${ref.sheet}" isn't in "${analysis.file.name}"; its settings were skipped`)
+      missingSheets.add(label)
+      return null
+    }
+    return { analysis, worksheet, key: sheetNameKey(analysis.file.Id, worksheet.name), id: `${analysis.file.Id}::${worksheet.name}`, label }
+  }
+  const missingColumns = (columns, headers, where, consequence, applies = true) => {
+    if (!applies) return
+    [...new Set(columns)].filter(column => column && !headers.includes(column)).forEach(column => {
+      warnings.push(`Column "${column}" isn't in ${where}; ${consequence}`)
+    })
+  }
+
+  const selectedSheets = {}
+  preset.sheets.forEach(ref => {
+    const match = resolve(ref)
+    if (!match) return
+    const fileId = match.analysis.file.Id
+    selectedSheets[fileId] = [...(selectedSheets[fileId] || []), match.worksheet.name]
+  })
+
+  const sheetFilters = {}
+  preset.filters.forEach(({ filter, ...ref }) => {
+    const match = resolve(ref)
+    if (!match) return
+    const headers = match.worksheet.headers
+    missingColumns(filter.columns || [], headers, match.label, 'the filter no longer keeps it')
+    missingColumns(filter.conditions.map(condition => condition.column), headers, match.label, 'a filter condition on it keeps no rows')
+    // With none of its columns left, the filter keeps them all rather than none
+    const columns = filter.columns ? filter.columns.filter(column => headers.includes(column)) : null
+    sheetFilters[match.key] = { columns: columns && columns.length > 0 ? columns : null, conditions: filter.conditions }
+  })
+
+  const sheetNameOverrides = {}
+  preset.sheetNames.forEach(({ name, ...ref }) => {
+    const match = resolve(ref)
+    if (match) sheetNameOverrides[match.key] = name
+  })
+
+  // Columns as the filters leave them, which is what joins, splits and mappings refer to
+  const outputHeaders = (match) => filterHeaders(match.worksheet.headers, sheetFilters[match.key])
+
+  const { join = { type: 'left', keys: [], includeTabs: false }, protection = {}, ...settings } = preset.settings
+  const joinLeft = resolve(preset.joinLeft)
+  const joinRight = resolve(preset.joinRight)
+  let joinKeys = []
+  if (joinLeft && joinRight) {
+    missingColumns(join.keys.map(key => key.left), outputHeaders(joinLeft), joinLeft.label, 'that join key was dropped', settings.combineMode === 'join')
+    missingColumns(join.keys.map(key => key.right), outputHeaders(joinRight), joinRight.label, 'that join key was dropped', settings.combineMode === 'join')
+    joinKeys = join.keys.filter(key => outputHeaders(joinLeft).includes(key.left) && outputHeaders(joinRight).includes(key.right))
+  }
+
+  const splitSheet = resolve(preset.splitSheet)
+  let columnSplit = settings.columnSplit
+  if (splitSheet && columnSplit?.column && !outputHeaders(splitSheet).includes(columnSplit.column)) {
+    missingColumns([columnSplit.column], outputHeaders(splitSheet), splitSheet.label, 'choose another column to split by', settings.splitBy === 'column')
+    columnSplit = { ...columnSplit, column: '' }
+  }
+
+  // Mapping sources and dedupe columns may come from any selected sheet
+  const selectedHeaders = [...new Set(Object.entries(selectedSheets).flatMap(([fileId, names]) => names.flatMap(name => {
+    const analysis = analyses.find(item => item.file.Id === Number(fileId))
+    const worksheet = analysis.worksheets.find(ws => ws.name === name)
+    return filterHeaders(worksheet.headers, sheetFilters[sheetNameKey(analysis.file.Id, name)])
+  })))]
+  let columnMapping = settings.columnMapping
+  if (columnMapping) {
+    missingColumns(
+      columnMapping.flatMap(column => column.sources),
+      selectedHeaders,
+      'any selected sheet',
+      'the column mapping has nothing to fill it from',
+      settings.combineMode === 'append'
+    )
+    columnMapping = reconcileColumnMapping(columnMapping, selectedHeaders)
+  }
+  let dedupeOptions = settings.dedupeOptions
+  if (dedupeOptions) {
+    const outputColumns = columnMapping ? columnMapping.map(column => column.name) : selectedHeaders
+    missingColumns(dedupeOptions.columns, outputColumns, 'the combined columns', 'it was left out of the duplicate check', settings.combineMode === 'append')
+    dedupeOptions = { ...dedupeOptions, columns: dedupeOptions.columns.filter(column => outputColumns.includes(column)) }
+  }
+
+  return {
+    state: {
+      ...settings,
+      columnMapping,
+      dedupeOptions,
+      columnSplit,
+      protection,
+      selectedSheets,
+      sheetFilters,
+      sheetNameOverrides,
+      joinConfig: {
+        leftId: joinLeft ? joinLeft.id : '',
+        rightId: joinRight ? joinRight.id : '',
+        type: join.type,
+        keys: joinKeys,
+        includeTabs: join.includeTabs
+      },
+      splitSheetId: splitSheet ? splitSheet.id : ''
+    },
+    warnings
+  }
+}
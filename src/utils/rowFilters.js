@@ -0,0 +1,91 @@
+// A sheet filter keeps some of a sheet's columns and the rows that meet every condition:
+// { columns: ['Region', 'Amount'] | null, conditions: [{ column, operator, value, value2 }] }
+// columns: null keeps them all. Filters are stored per sheet under sheetNameKey(fileId, sheetName).
+
+export const FILTER_OPERATORS = [
+  { value: 'equals', label: 'equals', inputs: 1, inputType: 'text' },
+  { value: 'contains', label: 'contains', inputs: 1, inputType: 'text' },
+  { value: 'between', label: 'is a number between', inputs: 2, inputType: 'number' },
+  { value: 'dateBetween', label: 'is a date between', inputs: 2, inputType: 'date' },
+  { value: 'notEmpty', label: 'is not empty', inputs: 0 }
+]
+
+export const EMPTY_FILTER = { columns: null, conditions: [] }
+
+export const isFilterActive = (filter) => !!filter && (filter.columns !== null || filter.conditions.length > 0)
+
+export const describeFilter = (filter, columnCount) => {
+  if (!isFilterActive(filter)) return ''
+  const parts = []
+  if (filter.conditions.length > 0) {
+    parts.push(`${filter.conditions.length} ${filter.conditions.length === 1 ? 'condition' : 'conditions'}`)
+  }
+  if (filter.columns !== null) {
+    parts.push(`${filter.columns.length} of ${columnCount} columns`)
+  }
+  return parts.join(', ')
+}
+
+// The worksheet as the filter leaves its header: only the kept columns, in their original order
+export const filterHeaders = (headers, filter) => (
+  filter?.columns ? headers.filter(name => filter.columns.includes(name)) : headers
+)
+
+const parseNumber = (text) => (text.trim() === '' ? null : Number(text))
+
+// A condition still being typed (no column, or a number range with no usable bound) is left out
+const isComplete = (condition, operator) => {
+  if (!operator || !condition.column) return false
+  if (operator.inputs === 0) return true
+  const bounds = [condition.value, condition.value2].slice(0, operator.inputs).map(bound => String(bound ?? '').trim())
+  if (bounds.every(bound => bound === '')) return false
+  return operator.value !== 'between' || bounds.every(bound => bound === '' || !Number.isNaN(Number(bound)))
+}
+
+// Returns (cells) => boolean for one row. readCell(cell) gives { text, number, day } for a cell,
+// where number is null for non-numbers and day is a 'YYYY-MM-DD' string or null. Conditions on
+// columns the sheet doesn't have reject every row, so a filter copied to the wrong sheet keeps nothing.
+export const createRowMatcher = (conditions, columnNames, readCell) => {
+  const checks = conditions.map(condition => {
+    const operator = FILTER_OPERATORS.find(option => option.value === condition.operator)
+    if (!isComplete(condition, operator)) return null
+
+    const index = columnNames.indexOf(condition.column)
+    if (index === -1) return () => false
+
+    const value = String(condition.value ?? '').trim()
+    const value2 = String(condition.value2 ?? '').trim()
+    const read = (cells) => readCell(cells[index])
+
+    switch (operator.value) {
+      case 'equals': {
+        const expected = value.toLowerCase()
+        return (cells) => {
+          const { text, number } = read(cells)
+          return text.toLowerCase() === expected || (number !== null && number === Number(value))
+        }
+      }
+      case 'contains': {
+        const expected = value.toLowerCase()
+        return (cells) => read(cells).text.toLowerCase().includes(expected)
+      }
+      case 'between': {
+        const min = parseNumber(value)
+        const max = parseNumber(value2)
+        return (cells) => {
+          const { number } = read(cells)
+          return number !== null && (min === null || number >= min) && (max === null || number <= max)
+        }
+      }
+      case 'dateBetween':
+        return (cells) => {
+          const { day } = read(cells)
+          return day !== null && (value === '' || day >= value) && (value2 === '' || day <= value2)
+        }
+      default:
+        return (cells) => read(cells).text !== ''
+    }
+  }).filter(Boolean)
+
+  return (cells) => checks.every(check => check(cells))
+}
@@ -0,0 +1,101 @@
+// Tab names for the combined workbook: filled in from a template, then checked against Excel's rules
+// (31 characters, no \ / ? * : [ ], no leading or trailing apostrophe, unique ignoring case).
+
+export const SHEET_NAME_MAX_LENGTH = 31
+
+export const SHEET_NAME_TOKENS = [
+  { token: '{file}', description: 'workbook name' },
+  { token: '{sheet}', description: 'worksheet name' },
+  { token: '{index}', description: 'tab position' },
+  { token: '{date}', description: "today's date" }
+]
+
+export const DEFAULT_SHEET_NAME_TEMPLATE = '{file}_{sheet}'
+
+const INVALID_CHARACTERS = /[\\/?*:[\]]/g
+
+const todayStamp = () => new Date().toISOString().slice(0, 10)
+
+const cleanValue = (value) => String(value).replace(INVALID_CHARACTERS, '_')
+
+// Fills the template and fits it into 31 characters by shortening the longest token values first,
+// so "Quarterly Sales Report 2024_January" becomes "Quarterly Sales Report_January", not "..._Jan".
+export const fillSheetNameTemplate = (template, { file, sheet, index, date = todayStamp() }, maxLength = SHEET_NAME_MAX_LENGTH) => {
+  const values = { file: cleanValue(file), sheet: cleanValue(sheet), index: String(index), date }
+  const parts = template.split(/(\{\w+\})/).map(part => {
+    const token = part.match(/^\{(\w+)\}$/)
+    return token && values[token[1]] !== undefined
+      ? { value: values[token[1]], token: true }
+      : { value: cleanValue(part), token: false }
+  })
+  const length = () => parts.reduce((total, part) => total + part.value.length, 0)
+
+  while (length() > maxLength) {
+    const longest = parts.reduce((best, part) => (
+      part.token && part.value.length > 1 && (!best || part.value.length > best.value.length) ? part : best
+    ), null)
+    if (!longest) break
+    longest.value = longest.value.slice(0, -1).trimEnd()
+  }
+
+  const name = parts.map(part => part.value).join('').slice(0, maxLength).trim().replace(/^'+|'+$/g, '')
+  return name || `Sheet${index}`
+}
+
+// Returns what is wrong with a tab name, or null when Excel will accept it
+export const validateSheetName = (name, otherNames = []) => {
+  if (!name.trim()) return 'Name cannot be empty'
+  if (name.length > SHEET_NAME_MAX_LENGTH) return `Name is longer than ${SHEET_NAME_MAX_LENGTH} characters`
+  const invalid = name.match(INVALID_CHARACTERS)
+  if (invalid) return `Name cannot contain ${[...new Set(invalid)].join(' ')}`
+  if (/^'|'$/.test(name)) return 'Name cannot start or end with an apostrophe'
+  if (name.toLowerCase() === 'history') return '"History" is reserved by Excel'
+  if (otherNames.some(other => other.toLowerCase() === name.toLowerCase())) return 'Another tab already has this name'
+  return null
+}
+
+export const sheetNameKey = (fileId, sheetName) => `${fileId}:${sheetName}`
+
+// One entry per output tab, in order. Template names are made unique with " (2)"-style suffixes;
+// names typed by hand are kept as typed and reported through `error` instead.
+export const buildSheetNames = (workbookAnalyses, template = DEFAULT_SHEET_NAME_TEMPLATE, overrides = {}) => {
+  const date = todayStamp()
+  const entries = []
+
+  workbookAnalyses.forEach(analysis => {
+    analysis.worksheets.forEach(worksheet => {
+      const key = sheetNameKey(analysis.file.Id, worksheet.name)
+      const tokens = {
+        file: analysis.file.name.replace(/\.[^/.]+$/, ''),
+        sheet: worksheet.name,
+        index: entries.length + 1,
+        date
+      }
+      entries.push({
+        key,
+        fileName: analysis.file.name,
+        sheetName: worksheet.name,
+        tokens,
+        edited: overrides[key] !== undefined,
+        name: overrides[key] !== undefined ? overrides[key] : fillSheetNameTemplate(template, tokens)
+      })
+    })
+  })
+
+  const taken = new Set(entries.filter(entry => entry.edited).map(entry => entry.name.toLowerCase()))
+  entries.forEach(entry => {
+    if (entry.edited) return
+    let name = entry.name
+    for (let counter = 2; taken.has(name.toLowerCase()); counter++) {
+      const suffix = ` (${counter})`
+      name = fillSheetNameTemplate(template, entry.tokens, SHEET_NAME_MAX_LENGTH - suffix.length) + suffix
+    }
+    taken.add(name.toLowerCase())
+    entry.name = name
+  })
+
+  return entries.map(({ tokens: _tokens, ...entry }, index) => ({
+    ...entry,
+    error: validateSheetName(entry.name, entries.filter((_, other) => other !== index).map(other => other.name))
+  }))
+}
@@ -0,0 +1,67 @@
+export const DELIMITERS = [
+  { value: ',', label: 'Comma (,)' },
+  { value: ';', label: 'Semicolon (;)' },
+  { value: '\t', label: 'Tab' },
+  { value: '|', label: 'Pipe (|)' }
+]
+
+export const ENCODINGS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' },
+  { value: 'windows-1252', label: 'Windows-1252 (Western)' },
+  { value: 'iso-8859-15', label: 'ISO-8859-15' },
+  { value: 'shift_jis', label: 'Shift_JIS' },
+  { value: 'gbk', label: 'GBK' }
+]
+
+export const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8'
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le'
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be'
+
+  // Without a byte order mark, anything that isn't valid UTF-8 is most likely a legacy Windows export
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes)
+    return 'utf-8'
+  } catch (error) {
+    return 'windows-1252'
+  }
+}
+
+export const decodeText = (bytes, encoding) => {
+  // TextDecoder drops the byte order mark itself
+  return new TextDecoder(encoding).decode(bytes)
+}
+
+const countOutsideQuotes = (line, delimiter) => {
+  let count = 0
+  let quoted = false
+  for (const char of line) {
+    if (char === '"') {
+      quoted = !quoted
+    } else if (char === delimiter && !quoted) {
+      count++
+    }
+  }
+  return count
+}
+
+// Picks the delimiter that splits the first lines into the same, largest number of fields
+export const detectDelimiter = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, 20)
+  let best = { value: ',', score: 0 }
+
+  DELIMITERS.forEach(({ value }) => {
+    const counts = lines.map(line => countOutsideQuotes(line, value))
+    if (counts.length === 0 || counts[0] === 0) return
+
+    const consistent = counts.filter(count => count === counts[0]).length / counts.length
+    const score = consistent * counts[0]
+    if (score > best.score) {
+      best = { value, score }
+    }
+  })
+
+  return best.value
+}
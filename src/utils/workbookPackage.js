@@ -0,0 +1,146 @@
+import JSZip from 'jszip'
+
+// Reads what SheetJS leaves behind in an .xlsx/.xlsm package: data validation rules, which are copied
+// into the combined file by hand, and formatting it can't write at all, which is only reported.
+
+const unescapeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&amp;/g, '&')
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const parseAttributes = (tag) => {
+  const attributes = {}
+  for (const [, name, value] of tag.matchAll(/([\w:]+)="([^"]*)"/g)) {
+    attributes[name] = value
+  }
+  return attributes
+}
+
+// Attributes such as xr:uid need namespaces the written sheet doesn't declare
+const ruleAttributes = (tag) => Object.fromEntries(
+  Object.entries(parseAttributes(tag)).filter(([name]) => !name.includes(':'))
+)
+
+const resolveTarget = (target) => target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`
+
+// Cell formats that carry a font, fill, border or alignment besides the defaults
+const readStyledFormats = (stylesXml) => {
+  const styled = new Set()
+  const cellXfs = stylesXml.match(/<cellXfs[^>]*>([\s\S]*?)<\/cellXfs>/)
+  if (!cellXfs) return styled
+
+  const formats = cellXfs[1].match(/<xf\b[^>]*\/>|<xf\b[^>]*>[\s\S]*?<\/xf>/g) || []
+  formats.forEach((xf, index) => {
+    const { fontId = '0', fillId = '0', borderId = '0' } = parseAttributes(xf.match(/<xf\b[^>]*>/)[0])
+    if (fontId !== '0' || fillId !== '0' || borderId !== '0' || /<alignment\b/.test(xf)) {
+      styled.add(index)
+    }
+  })
+  return styled
+}
+
+// Both the plain rules and the Excel 2010 ones kept in extLst, which is where rules pointing at other sheets go
+const readDataValidations = (sheetXml) => {
+  const rules = []
+
+  for (const [, body] of sheetXml.matchAll(/<dataValidations\b[^>]*>([\s\S]*?)<\/dataValidations>/g)) {
+    for (const [, openTag, inner = ''] of body.matchAll(/(<dataValidation\b[^>]*?)(?:\/>|>([\s\S]*?)<\/dataValidation>)/g)) {
+      const { sqref, ...attributes } = ruleAttributes(openTag)
+      const formula1 = inner.match(/<formula1>([\s\S]*?)<\/formula1>/)
+      const formula2 = inner.match(/<formula2>([\s\S]*?)<\/formula2>/)
+      if (!sqref) continue
+      rules.push({
+        attributes,
+        sqref,
+        formula1: formula1 ? unescapeXml(formula1[1]) : null,
+        formula2: formula2 ? unescapeXml(formula2[1]) : null
+      })
+    }
+  }
+
+  for (const [, openTag, inner] of sheetXml.matchAll(/<\w+:dataValidation\b([^>]*)>([\s\S]*?)<\/\w+:dataValidation>/g)) {
+    const formula1 = inner.match(/<\w+:formula1>\s*<\w+:f>([\s\S]*?)<\/\w+:f>/)
+    const formula2 = inner.match(/<\w+:formula2>\s*<\w+:f>([\s\S]*?)<\/\w+:f>/)
+    const sqref = inner.match(/<\w+:sqref>([\s\S]*?)<\/\w+:sqref>/)
+    if (!sqref) continue
+    const attributes = ruleAttributes(openTag)
+    rules.push({
+      attributes,
+      sqref: sqref[1].trim(),
+      formula1: formula1 ? unescapeXml(formula1[1]) : null,
+      formula2: formula2 ? unescapeXml(formula2[1]) : null
+    })
+  }
+
+  return rules
+}
+
+// Returns { [sheetName]: { validations, unsupported } } for the worksheets of an .xlsx/.xlsm package.
+// unsupported lists 'cellStyles', 'conditionalFormats', 'drawings', 'tables' and 'frozenPanes' as found.
+export const readPackageExtras = async (data) => {
+  const zip = await JSZip.loadAsync(data)
+  const workbookXml = await zip.file('xl/workbook.xml')?.async('string')
+  const relsXml = await zip.file('xl/_rels/workbook.xml.rels')?.async('string')
+  if (!workbookXml || !relsXml) return {}
+
+  const targets = {}
+  for (const [tag] of relsXml.matchAll(/<Relationship\b[^>]*>/g)) {
+    const { Id, Target } = parseAttributes(tag)
+    targets[Id] = resolveTarget(Target)
+  }
+  const stylesXml = await zip.file('xl/styles.xml')?.async('string')
+  const styledFormats = stylesXml ? readStyledFormats(stylesXml) : new Set()
+
+  const extras = {}
+  for (const [tag] of workbookXml.matchAll(/<sheet\b[^>]*>/g)) {
+    const attributes = parseAttributes(tag)
+    const path = targets[attributes['r:id']]
+    const sheetXml = path && path.endsWith('.xml') ? await zip.file(path)?.async('string') : null
+    if (!sheetXml) continue
+
+    const unsupported = []
+    const usesStyledFormat = [...sheetXml.matchAll(/<c\b[^>]*?\ss="(\d+)"/g)].some(([, index]) => styledFormats.has(Number(index)))
+    if (usesStyledFormat) unsupported.push('cellStyles')
+    if (/<conditionalFormatting\b/.test(sheetXml)) unsupported.push('conditionalFormats')
+    if (/<drawing\b/.test(sheetXml)) unsupported.push('drawings')
+    if (/<tablePart\b/.test(sheetXml)) unsupported.push('tables')
+    if (/<pane\b[^>]*state="frozen/.test(sheetXml)) unsupported.push('frozenPanes')
+
+    extras[unescapeXml(attributes.name)] = { validations: readDataValidations(sheetXml), unsupported }
+  }
+  return extras
+}
+
+const WORKSHEET_ELEMENTS_AFTER_VALIDATIONS = /<(hyperlinks|printOptions|pageMargins|pageSetup|headerFooter|rowBreaks|colBreaks|customProperties|cellWatches|ignoredErrors|smartTags|drawing|legacyDrawing|legacyDrawingHF|picture|oleObjects|controls|webPublishItems|tableParts|extLst)\b|<\/worksheet>/
+
+// sheetValidations holds each output sheet's rules in tab order, matching SheetJS's sheet1.xml, sheet2.xml, …
+export const writeDataValidations = async (buffer, sheetValidations) => {
+  const zip = await JSZip.loadAsync(buffer)
+
+  for (let index = 0; index < sheetValidations.length; index++) {
+    const rules = sheetValidations[index]
+    const path = `xl/worksheets/sheet${index + 1}.xml`
+    if (!rules || rules.length === 0 || !zip.file(path)) continue
+
+    const elements = rules.map(({ attributes, sqref, formula1, formula2 }) => {
+      const attributeText = Object.entries(attributes).map(([name, value]) => ` ${name}="${value}"`).join('')
+      const formulas = (formula1 !== null ? `<formula1>${escapeXml(formula1)}</formula1>` : '') +
+        (formula2 !== null ? `<formula2>${escapeXml(formula2)}</formula2>` : '')
+      return `<dataValidation${attributeText} sqref="${sqref}">${formulas}</dataValidation>`
+    })
+    const validationsXml = `<dataValidations count="${elements.length}">${elements.join('')}</dataValidations>`
+
+    const sheetXml = await zip.file(path).async('string')
+    zip.file(path, sheetXml.replace(WORKSHEET_ELEMENTS_AFTER_VALIDATIONS, (match) => validationsXml + match))
+  }
+
+  return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' })
+}
@@ -0,0 +1,188 @@
+import workbookEngine from '@/workers/workbookEngine'
+
+// Parsed workbooks stay in the worker, keyed by file Id; the page only ever sees their analysis.
+// Combined workbooks and split archives wait here under a result Id until they are written out.
+const workbooks = new Map()
+const results = new Map()
+const controllers = new Map()
+let lastResultId = 0
+
+const getWorkbook = (fileId) => {
+  const workbook = workbooks.get(fileId)
+  if (!workbook) {
+    throw new Error('This file is no longer loaded. Remove it and upload it again.')
+  }
+  return workbook
+}
+
+const getResult = (ref) => {
+  const result = results.get(ref?.Id)
+  if (!result) {
+    throw new Error('The processed data is no longer available. Please run the job again.')
+  }
+  return result
+}
+
+const storeResult = (value) => {
+  lastResultId++
+  results.set(lastResultId, value)
+  return lastResultId
+}
+
+// Ids of the results a handler stored, in either of the shapes handlers return them
+const storedResultIds = (result) => [result?.Id, result?.workbook?.Id].filter(resultId => results.has(resultId))
+
+// Row filters and column selections are applied to a view of the workbook for each job
+const getFilteredWorkbook = (fileId, filters, sheetNames) => (
+  workbookEngine.applyFilters(getWorkbook(fileId), fileId, filters, sheetNames)
+)
+
+const withWorkbooks = (analyses, filters) => analyses.map(analysis => ({
+  ...analysis,
+  workbook: getFilteredWorkbook(analysis.file.Id, filters, analysis.worksheets.map(worksheet => worksheet.name))
+}))
+
+const getSheet = (fileId, sheetName) => {
+  const sheet = getWorkbook(fileId).Sheets[sheetName]
+  if (!sheet) {
+    throw new Error(`Worksheet "${sheetName}" was not found`)
+  }
+  return sheet
+}
+
+const handlers = {
+  async analyzeWorkbook({ fileId, file, textOptions, password }, { onProgress, signal }) {
+    const { workbook, ...analysis } = await workbookEngine.analyzeWorkbook(file, textOptions, onProgress, { password, signal })
+    // A file whose loading was cancelled is never released by the page, so it isn't kept
+    if (!signal.aborted) {
+      workbooks.set(fileId, workbook)
+    }
+    return analysis
+  },
+
+  async release({ fileIds = [], resultIds = [] }) {
+    fileIds.forEach(fileId => workbooks.delete(fileId))
+    resultIds.forEach(resultId => results.delete(resultId))
+  },
+
+  async releaseAll() {
+    workbooks.clear()
+    results.clear()
+  },
+
+  async previewSheet({ fileId, sheetName, start, count, maxColumns }) {
+    return workbookEngine.previewSheetRows(getSheet(fileId, sheetName), start, count, maxColumns)
+  },
+
+  async countFilteredRows({ fileId, sheetName, filter }) {
+    return workbookEngine.countFilteredRows(getSheet(fileId, sheetName), filter)
+  },
+
+  async combineAllSheets({ analyses, options }, { onProgress, signal }) {
+    const workbook = await workbookEngine.combineAllSheets(withWorkbooks(analyses, options.filters), onProgress, { ...options, signal })
+    return { Id: storeResult(workbook), sheetNames: workbook.SheetNames }
+  },
+
+  async appendAllSheets({ analyses, options }, { onProgress, signal }) {
+    const { workbook, report } = await workbookEngine.appendAllSheets(withWorkbooks(analyses, options.filters), onProgress, { ...options, signal })
+    return { workbook: { Id: storeResult(workbook), sheetNames: workbook.SheetNames }, report }
+  },
+
+  async joinSheets({ left, right, options }, { onProgress, signal }) {
+    const side = ({ fileId, ...rest }) => ({ ...rest, workbook: getFilteredWorkbook(fileId, options.filters, [rest.sheetName]) })
+    const baseWorkbook = options.workbook ? getResult(options.workbook) : undefined
+    const { workbook, report } = await workbookEngine.joinSheets(
+      side(left),
+      side(right),
+      { ...options, workbook: baseWorkbook, signal },
+      onProgress
+    )
+    if (options.workbook) {
+      results.delete(options.workbook.Id)
+    }
+    return { workbook: { Id: storeResult(workbook), sheetNames: workbook.SheetNames }, report }
+  },
+
+  async generateCombinedExcel({ workbook, baseFileName, format, macroSourceId, protection }, { onProgress, signal }) {
+    const download = await workbookEngine.generateCombinedExcel(getResult(workbook), baseFileName, format, {
+      macroSource: macroSourceId ? workbooks.get(macroSourceId) : null,
+      protection,
+      onProgress,
+      signal
+    })
+    results.delete(workbook.Id)
+    return download
+  },
+
+  async processWorksheets({ fileId, worksheets, options }, { onProgress, signal }) {
+    const zip = options.zip ? getResult(options.zip) : undefined
+    const workbook = getFilteredWorkbook(fileId, options.filters, worksheets.map(worksheet => worksheet.name))
+    const archive = await workbookEngine.processWorksheets(workbook, worksheets, onProgress, {
+      ...options,
+      zip,
+      signal
+    })
+    if (options.zip) {
+      return options.zip
+    }
+    return { Id: storeResult(archive) }
+  },
+
+  async previewColumnGroups({ fileId, sheetName, column, filters }) {
+    getSheet(fileId, sheetName)
+    const workbook = getFilteredWorkbook(fileId, filters, [sheetName])
+    return workbookEngine.previewColumnGroups(workbook.Sheets[sheetName], column)
+  },
+
+  async splitSheetByColumn({ fileId, sheetName, column, options }, { onProgress, signal }) {
+    const archive = await workbookEngine.splitSheetByColumn(getFilteredWorkbook(fileId, options.filters, [sheetName]), sheetName, column, onProgress, {
+      ...options,
+      signal
+    })
+    return { Id: storeResult(archive) }
+  },
+
+  async splitSheetIntoParts({ fileId, sheetName, options }, { onProgress, signal }) {
+    const archive = await workbookEngine.splitSheetIntoParts(getFilteredWorkbook(fileId, options.filters, [sheetName]), sheetName, onProgress, {
+      ...options,
+      signal
+    })
+    return { Id: storeResult(archive) }
+  },
+
+  async generateDownload({ zip, originalFileName, format }, { onProgress, signal }) {
+    const download = await workbookEngine.generateDownload(getResult(zip), originalFileName, format, { onProgress, signal })
+    results.delete(zip.Id)
+    return download
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  const { type, id } = data
+
+  if (type === 'cancel') {
+    controllers.get(id)?.abort()
+    return
+  }
+
+  const controller = new AbortController()
+  controllers.set(id, controller)
+  const onProgress = (progress, details = {}) => {
+    self.postMessage({ type: 'progress', id, progress, details })
+  }
+
+  try {
+    const result = await handlers[data.method](data.payload, { onProgress, signal: controller.signal })
+    if (controller.signal.aborted) {
+      // Cancelled after the last checkpoint: the page has stopped waiting and will never learn the
+      // result Id to release it, so the result is dropped here
+      storedResultIds(result).forEach(resultId => results.delete(resultId))
+      return
+    }
+    self.postMessage({ type: 'result', id, result })
+  } catch (error) {
+    self.postMessage({ type: 'error', id, error: { name: error.name, message: error.message, code: error.code } })
+  } finally {
+    controllers.delete(id)
+  }
+}
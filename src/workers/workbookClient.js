@@ -0,0 +1,75 @@
+// Main-thread side of the workbook worker: one request per call, progress forwarded as it arrives,
+// and an AbortSignal that settles the call at once and tells the worker to stop at its next checkpoint.
+
+export const createCancelledError = () => new DOMException('Processing was cancelled', 'AbortError')
+
+export const isCancelledError = (error) => error?.name === 'AbortError'
+
+class WorkbookClient {
+  constructor() {
+    this.worker = null
+    this.lastRequestId = 0
+    this.pending = new Map()
+  }
+
+  getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(new URL('./workbook.worker.js', import.meta.url), { type: 'module' })
+      this.worker.onmessage = ({ data }) => this.handleMessage(data)
+      this.worker.onerror = () => {
+        // A crashed worker loses every loaded workbook; the next call starts a fresh one
+        const error = new Error('The spreadsheet engine stopped unexpectedly. Please upload your files again.')
+        this.pending.forEach(request => request.reject(error))
+        this.pending.clear()
+        this.worker.terminate()
+        this.worker = null
+      }
+    }
+    return this.worker
+  }
+
+  run(method, payload = {}, { onProgress, signal } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(createCancelledError())
+    }
+
+    return new Promise((resolve, reject) => {
+      this.lastRequestId++
+      const id = this.lastRequestId
+
+      const onAbort = () => {
+        this.pending.delete(id)
+        this.worker?.postMessage({ type: 'cancel', id })
+        reject(createCancelledError())
+      }
+      const settle = (callback) => (value) => {
+        signal?.removeEventListener('abort', onAbort)
+        this.pending.delete(id)
+        callback(value)
+      }
+
+      this.pending.set(id, { resolve: settle(resolve), reject: settle(reject), onProgress })
+      signal?.addEventListener('abort', onAbort, { once: true })
+      this.getWorker().postMessage({ type: 'run', id, method, payload })
+    })
+  }
+
+  handleMessage({ type, id, progress, details, result, error }) {
+    const request = this.pending.get(id)
+    if (!request) return // cancelled on this side already
+
+    if (type === 'progress') {
+      if (request.onProgress) {
+        request.onProgress(progress, details)
+      }
+    } else if (type === 'result') {
+      request.resolve(result)
+    } else {
+      request.reject(error.name === 'AbortError'
+        ? createCancelledError()
+        : Object.assign(new Error(error.message), { code: error.code }))
+    }
+  }
+}
+
+export default new WorkbookClient()
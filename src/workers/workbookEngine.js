@@ -0,0 +1,1493 @@
+import * as XLSX from 'xlsx'
+import JSZip from 'jszip'
+import { renderWorksheetPdf } from '@/utils/pdfTableRenderer'
+import { buildHeaderLookup, compareHeaders } from '@/utils/columnMapping'
+import { isTextFile } from '@/utils/fileTypes'
+import { formatFileSize } from '@/utils/formatters'
+import { createFileError } from '@/utils/fileErrors'
+import { createSheetRenamer, quoteSheetName, renameFormulaSheets } from '@/utils/formulaReferences'
+import { decryptPackage, encryptPackage, isEncryptedPackage, legacyPasswordHash } from '@/utils/officeCrypto'
+import { createRowMatcher, isFilterActive } from '@/utils/rowFilters'
+import { buildSheetNames, sheetNameKey, validateSheetName } from '@/utils/sheetNames'
+import { decodeText, detectDelimiter, detectEncoding } from '@/utils/textImport'
+import { readPackageExtras, writeDataValidations } from '@/utils/workbookPackage'
+
+// Yields to the worker's event loop so a pending cancel message gets handled
+const nextTick = (signal) => new Promise(resolve => setTimeout(resolve, 0)).then(() => signal?.throwIfAborted())
+
+// Rows handled between two yields in the long row loops
+const ROWS_PER_TICK = 2000
+
+// Rows rendered to estimate how many fit in the first part of a split by size
+const SIZE_SAMPLE_ROWS = 200
+
+// Delimited text always goes through SheetJS's CSV reader. Left alone, XLSX.read guesses the format from
+// the first characters, so text starting with "<" or "ID" is taken for HTML or SYLK. A leading "sep="
+// line, which Excel reads the same way, names the delimiter; one already in the file gives way to it.
+const readDelimitedText = (text, delimiter) => (
+  XLSX.read(`sep=${delimiter}\n${text.replace(/^sep=.\r?\n/, '')}`, { type: 'string', cellNF: true })
+)
+
+// Formulas would point at the wrong rows once cells move, so only the computed value is copied
+const copyCellValue = (cell) => {
+  const value = { ...cell }
+  delete value.f
+  delete value.F
+  return value
+}
+
+const isEmptyCell = (cell) => !cell || cell.v === undefined || cell.v === ''
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// What a row filter compares: the displayed text, the number behind it, and the day for date cells
+const readFilterCell = (cell) => {
+  if (isEmptyCell(cell)) return { text: '', number: null, day: null }
+
+  const text = XLSX.utils.format_cell(cell).trim()
+  if (cell.t === 'n') {
+    const date = cell.z && XLSX.SSF.is_date(cell.z) ? XLSX.SSF.parse_date_code(cell.v) : null
+    return { text, number: cell.v, day: date ? `${date.y}-${pad(date.m)}-${pad(date.d)}` : null }
+  }
+  if (cell.t === 'd') {
+    return { text, number: null, day: cell.v.toISOString().slice(0, 10) }
+  }
+  const isoDay = text.match(/^\d{4}-\d{2}-\d{2}/)
+  return { text, number: text !== '' && !Number.isNaN(Number(text)) ? Number(text) : null, day: isoDay ? isoDay[0] : null }
+}
+
+// Last column a sheet can have: XFD
+const MAX_COLUMN = 16383
+
+// Where the values of a sheet actually are. !ref also spans cells that only carry formatting, so it
+// can run far past the data. Sheets aren't changed once loaded, so each layout is worked out once.
+const sheetLayouts = new WeakMap()
+
+const measureSheet = (sheet) => {
+  if (sheetLayouts.has(sheet)) return sheetLayouts.get(sheet)
+
+  let range = null
+  let cellCount = 0
+  let formattedCells = 0
+  const rowsWithValues = new Set()
+
+  Object.keys(sheet).forEach(address => {
+    if (address[0] === '!') return
+    if (isEmptyCell(sheet[address])) {
+      formattedCells++
+      return
+    }
+    const { r, c } = XLSX.utils.decode_cell(address)
+    if (!range) {
+      range = { s: { r, c }, e: { r, c } }
+    } else {
+      range.s.r = Math.min(range.s.r, r)
+      range.s.c = Math.min(range.s.c, c)
+      range.e.r = Math.max(range.e.r, r)
+      range.e.c = Math.max(range.e.c, c)
+    }
+    cellCount++
+    rowsWithValues.add(r)
+  })
+
+  let layout
+  if (!range) {
+    // Excel gives a blank sheet a one-cell dimension; anything wider only holds formatting
+    const formatOnly = formattedCells > 0 || (sheet['!merges'] || []).length > 0 || /:/.test(sheet['!ref'] || '')
+    layout = { range: null, cellCount: 0, headerRow: null, firstDataRow: 0, dataRowCount: 0, emptyReason: formatOnly ? 'formatOnly' : 'empty' }
+  } else {
+    // The first row is a header when every value in it is text; numbers or dates there mean it's data
+    let hasHeader = true
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r: range.s.r, c })]
+      if (!isEmptyCell(cell) && cell.t !== 's') {
+        hasHeader = false
+        break
+      }
+    }
+    layout = {
+      range,
+      cellCount,
+      headerRow: hasHeader ? range.s.r : null,
+      firstDataRow: hasHeader ? range.s.r + 1 : range.s.r,
+      dataRowCount: rowsWithValues.size - (hasHeader ? 1 : 0),
+      emptyReason: null
+    }
+  }
+
+  sheetLayouts.set(sheet, layout)
+  return layout
+}
+
+const uniqueSheetName = (workbook, name) => {
+  let finalName = name.substring(0, 31)
+  let counter = 1
+  while (workbook.SheetNames.some(existing => existing.toLowerCase() === finalName.toLowerCase())) {
+    const suffix = `_${counter}`
+    finalName = name.substring(0, 31 - suffix.length) + suffix
+    counter++
+  }
+  return finalName
+}
+
+// Sheet-scoped defined names point at their sheet by position, so they move along when tabs go in front
+const shiftLocalNames = (workbook, count) => {
+  (workbook.Workbook?.Names || []).forEach(name => {
+    if (typeof name.Sheet === 'number') {
+      name.Sheet += count
+    }
+  })
+}
+
+// What the fidelity report checks for. The last five come from the source package and SheetJS can't write them.
+const FIDELITY_FEATURES = {
+  columnWidths: 'Column widths',
+  rowHeights: 'Row heights',
+  merges: 'Merged cells',
+  numberFormats: 'Number formats',
+  hyperlinks: 'Hyperlinks',
+  comments: 'Comments',
+  validations: 'Data validation',
+  formulas: 'Formulas (their values are kept)',
+  cellStyles: 'Fonts, fills, borders and alignment',
+  conditionalFormats: 'Conditional formatting',
+  drawings: 'Pictures and charts',
+  tables: 'Excel tables (kept as plain ranges)',
+  frozenPanes: 'Frozen panes'
+}
+
+const sheetFeatures = (sheet) => {
+  const features = new Set(sheet['!unsupported'] || [])
+  if ((sheet['!cols'] || []).some(column => column && (column.wch || column.wpx || column.width))) features.add('columnWidths')
+  if ((sheet['!rows'] || []).some(row => row && (row.hpt || row.hpx))) features.add('rowHeights')
+  if ((sheet['!merges'] || []).length > 0) features.add('merges')
+  if ((sheet['!validations'] || []).length > 0) features.add('validations')
+
+  Object.keys(sheet).forEach(address => {
+    if (address[0] === '!') return
+    const cell = sheet[address]
+    if (cell.z && cell.z !== 'General') features.add('numberFormats')
+    if (cell.l) features.add('hyperlinks')
+    if (cell.c && cell.c.length > 0) features.add('comments')
+    if (cell.f) features.add('formulas')
+  })
+  return features
+}
+
+// Problems found while copying sheets into a combined workbook, reported when it is written out
+const combineNotes = new WeakMap()
+
+const OUTPUT_FORMATS = {
+  xlsx: { suffix: '.xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', protection: true, validations: true },
+  xlsm: { suffix: '.xlsm', mimeType: 'application/vnd.ms-excel.sheet.macroEnabled.12', macros: true, protection: true, validations: true },
+  xlsb: { suffix: '.xlsb', mimeType: 'application/vnd.ms-excel.sheet.binary.macroEnabled.12', macros: true },
+  ods: { suffix: '.ods', mimeType: 'application/vnd.oasis.opendocument.spreadsheet' },
+  csv: { suffix: '_CSV.zip', mimeType: 'application/zip' },
+  json: { suffix: '.json', mimeType: 'application/json' }
+}
+
+// The FIDELITY_FEATURES each format writes; CSV text follows the number formats, JSON holds raw values
+const KEPT_FEATURES = {
+  xlsx: ['columnWidths', 'rowHeights', 'merges', 'numberFormats', 'hyperlinks', 'comments', 'validations', 'formulas'],
+  xlsm: ['columnWidths', 'rowHeights', 'merges', 'numberFormats', 'hyperlinks', 'comments', 'validations', 'formulas'],
+  xlsb: ['columnWidths', 'rowHeights', 'merges', 'numberFormats', 'hyperlinks', 'comments'],
+  ods: ['merges', 'hyperlinks', 'formulas'],
+  csv: ['numberFormats'],
+  json: []
+}
+
+// Adds a file under a name not yet taken in the archive folder: Sales.csv, Sales_2.csv, …
+const addUniqueFile = (target, baseName, extension, content) => {
+  let fileName = `${baseName}.${extension}`
+  let counter = 2
+  while (target.file(fileName)) {
+    fileName = `${baseName}_${counter}.${extension}`
+    counter++
+  }
+  target.file(fileName, content)
+}
+
+// Bytes a split file takes up once written: CSV text is UTF-8, the others are already binary
+const contentSize = (content) => (typeof content === 'string' ? new TextEncoder().encode(content).length : content.byteLength)
+
+const SPLIT_FORMATS = {
+  pdf: { extension: 'pdf', archiveLabel: 'PDFs' },
+  xlsx: { extension: 'xlsx', archiveLabel: 'XLSX' },
+  csv: { extension: 'csv', archiveLabel: 'CSV', separator: ',' },
+  tsv: { extension: 'tsv', archiveLabel: 'TSV', separator: '\t' }
+}
+
+// Everything that touches cell data. Runs inside the workbook worker; progress callbacks
+// receive (percent, details) and every long loop checks the abort signal as it goes.
+class WorkbookEngine {
+  async readFile(file, onProgress, signal) {
+    const reader = file.stream().getReader()
+    const data = new Uint8Array(file.size)
+    let loaded = 0
+
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (done) break
+      if (signal?.aborted) {
+        await reader.cancel()
+        signal.throwIfAborted()
+      }
+      data.set(value, loaded)
+      loaded += value.length
+      if (onProgress) {
+        onProgress(loaded)
+      }
+    }
+
+    return data.subarray(0, loaded)
+  }
+
+  async analyzeWorkbook(file, textOptions = {}, onProgress, options = {}) {
+    const { password = '', signal } = options
+
+    // Reading is measured in bytes; parsing can't report progress, so it gets the last part of the bar
+    const report = (progress, bytesLoaded) => {
+      if (onProgress) {
+        onProgress(progress, { fileName: file.name, bytesLoaded, bytesTotal: file.size })
+      }
+    }
+    let data = await this.readFile(file, (loaded) => {
+      report(Math.round((loaded / Math.max(file.size, 1)) * 80), loaded)
+    }, signal)
+
+    // Encrypted .xlsx/.xlsm/.xlsb files are opened here; SheetJS only reads the package inside
+    if (!isTextFile(file) && isEncryptedPackage(data)) {
+      if (!password) {
+        throw createFileError('password', 'This workbook is password-protected.')
+      }
+      data = await decryptPackage(data, password)
+      signal?.throwIfAborted()
+    }
+
+    let workbook
+    let textImport = null
+
+    try {
+      if (isTextFile(file)) {
+        // Delimited text becomes a one-sheet workbook; detected settings can be overridden per file
+        const detectedEncoding = detectEncoding(data)
+        const encoding = textOptions.encoding || detectedEncoding
+        const text = decodeText(data, encoding)
+        const detectedDelimiter = detectDelimiter(text)
+        const delimiter = textOptions.delimiter || detectedDelimiter
+
+        workbook = readDelimitedText(text, delimiter)
+        textImport = { encoding, delimiter, detectedEncoding, detectedDelimiter }
+      } else {
+        // A password here only matters for legacy .xls files, which SheetJS decrypts itself
+        workbook = XLSX.read(data, { type: 'array', cellNF: true, cellStyles: true, bookVBA: true, password })
+      }
+    } catch (error) {
+      if (/password is incorrect/i.test(error.message)) {
+        throw createFileError('password', 'The password is incorrect.')
+      }
+      // SheetJS only decrypts XOR-obfuscated .xls; RC4 and CryptoAPI ones still report a password
+      // being needed after the right one is given, so asking again would never get anywhere
+      if (/scheme unsupported/i.test(error.message) || (password && /password|encrypt/i.test(error.message))) {
+        throw createFileError('password', "This workbook's encryption type isn't supported. Remove the password in Excel, or save it as .xlsx, and try again.")
+      }
+      if (/password|encrypt/i.test(error.message)) {
+        throw createFileError('password', 'This workbook is password-protected.')
+      }
+      throw createFileError('corrupt', 'Failed to read spreadsheet file. Please ensure it is not corrupted.')
+    }
+
+    // Data validation and the formatting SheetJS can't write are read from the package itself.
+    // They only feed the copy and its report, so a package that can't be read this way still loads.
+    if (!isTextFile(file) && data[0] === 0x50 && data[1] === 0x4B) {
+      try {
+        const extras = await readPackageExtras(data)
+        Object.entries(extras).forEach(([name, { validations, unsupported }]) => {
+          const sheet = workbook.Sheets[name]
+          if (!sheet) return
+          if (validations.length > 0) sheet['!validations'] = validations
+          if (unsupported.length > 0) sheet['!unsupported'] = unsupported
+        })
+      } catch {
+        // Nothing extra to carry over
+      }
+    }
+
+    report(90, data.length)
+    await nextTick(signal)
+
+    const worksheets = workbook.SheetNames.map((name, index) => {
+      const sheet = workbook.Sheets[name]
+      const { range, cellCount, headerRow, dataRowCount, emptyReason } = measureSheet(sheet)
+
+      return {
+        name,
+        index,
+        usedRange: range ? XLSX.utils.encode_range(range) : null,
+        rowCount: range ? range.e.r - range.s.r + 1 : 0,
+        columnCount: range ? range.e.c - range.s.c + 1 : 0,
+        cellCount,
+        headerRow: headerRow === null ? null : headerRow + 1,
+        dataRowCount,
+        hasData: cellCount > 0,
+        emptyReason, // 'empty', 'formatOnly' or null
+        headers: this.getSheetHeaders(sheet).map(h => h.name)
+      }
+    })
+
+    report(100, data.length)
+
+    return {
+      workbook,
+      worksheets,
+      textImport,
+      hasMacros: !!workbook.vbaraw
+    }
+  }
+
+  // options.sheetNames lists the tab names in output order; without it the default template is used.
+  // options.index puts an "Index" tab first that links to every tab; options.backLinks links each tab back to it.
+  async combineAllSheets(workbookAnalyses, onProgress, options = {}) {
+    const {
+      sheetNames = buildSheetNames(workbookAnalyses).map(entry => entry.name),
+      index = false,
+      backLinks = false,
+      signal
+    } = options
+    const combinedWorkbook = XLSX.utils.book_new()
+    const totalSheets = workbookAnalyses.reduce((total, analysis) => total + analysis.worksheets.length, 0)
+    const tabs = []
+    const notes = []
+    let processedSheets = 0
+
+    if (sheetNames.length !== totalSheets) {
+      throw new Error('The tab names no longer match the selected worksheets')
+    }
+    sheetNames.forEach((name, index) => {
+      const problem = validateSheetName(name, sheetNames.filter((_, other) => other !== index))
+      if (problem) {
+        throw new Error(`Tab name "${name}": ${problem}`)
+      }
+    })
+
+    // Each file's formulas are pointed at the new names of its own sheets
+    let tabIndex = 0
+    const renamers = workbookAnalyses.map(analysis => createSheetRenamer(
+      analysis.worksheets.map(worksheet => [worksheet.name, sheetNames[tabIndex++]])
+    ))
+
+    // Combine all worksheets
+    for (let analysisIndex = 0; analysisIndex < workbookAnalyses.length; analysisIndex++) {
+      const analysis = workbookAnalyses[analysisIndex]
+
+      for (let sheetIndex = 0; sheetIndex < analysis.worksheets.length; sheetIndex++) {
+        const worksheet = analysis.worksheets[sheetIndex]
+        const originalSheet = analysis.workbook.Sheets[worksheet.name]
+        const finalSheetName = sheetNames[processedSheets]
+
+        // Add a copy of the sheet to the combined workbook
+        const { sheet, dropped } = this.copySheet(originalSheet, renamers[analysisIndex])
+        combinedWorkbook.Sheets[finalSheetName] = sheet
+        combinedWorkbook.SheetNames.push(finalSheetName)
+        dropped.forEach(label => notes.push({ label, sheets: [finalSheetName] }))
+        // Counted from the sheet itself, which a row filter may have cut down
+        const { range } = measureSheet(originalSheet)
+        tabs.push({
+          tabName: finalSheetName,
+          fileName: analysis.file.name,
+          sheetName: worksheet.name,
+          rowCount: range ? range.e.r - range.s.r + 1 : 0,
+          columnCount: range ? range.e.c - range.s.c + 1 : 0
+        })
+
+        processedSheets++
+
+        // Update progress
+        const progress = Math.round((processedSheets / totalSheets) * 100)
+        if (onProgress) {
+          onProgress(progress, { sheet: worksheet.name, fileName: analysis.file.name })
+        }
+
+        await nextTick(signal)
+      }
+    }
+
+    this.copyDefinedNames(combinedWorkbook, workbookAnalyses, renamers, notes)
+
+    if (index) {
+      this.addIndexSheet(combinedWorkbook, tabs, { backLinks })
+    }
+
+    combineNotes.set(combinedWorkbook, notes)
+    return combinedWorkbook
+  }
+
+  // A deep copy whose references use the new tab names, so the loaded workbook stays as it was.
+  // Formulas into sheets left out of the output keep only their value; such rules and links are dropped.
+  copySheet(sheet, renameSheet) {
+    const copy = structuredClone(sheet)
+    const missing = { formulas: new Set(), hyperlinks: new Set(), validations: new Set() }
+    const rename = (formula, kind) => {
+      const result = renameFormulaSheets(formula, renameSheet)
+      result.missing.forEach(name => missing[kind].add(name))
+      return result.missing.length > 0 ? null : result.formula
+    }
+
+    Object.keys(copy).forEach(address => {
+      if (address[0] === '!') return
+      const cell = copy[address]
+      if (cell.f) {
+        const formula = rename(cell.f, 'formulas')
+        if (formula === null) {
+          delete cell.f
+          delete cell.F
+        } else {
+          cell.f = formula
+        }
+      }
+      if (cell.l?.Target?.startsWith('#')) {
+        const target = rename(cell.l.Target.slice(1), 'hyperlinks')
+        if (target === null) {
+          delete cell.l
+        } else {
+          cell.l.Target = `#${target}`
+        }
+      }
+    })
+
+    if (copy['!validations']) {
+      copy['!validations'] = copy['!validations'].flatMap(rule => {
+        const formula1 = rule.formula1 === null ? null : rename(rule.formula1, 'validations')
+        const formula2 = rule.formula2 === null ? null : rename(rule.formula2, 'validations')
+        if ((rule.formula1 !== null && formula1 === null) || (rule.formula2 !== null && formula2 === null)) return []
+        return [{ ...rule, formula1, formula2 }]
+      })
+    }
+
+    const list = (names) => [...names].join(', ')
+    const dropped = []
+    if (missing.formulas.size > 0) dropped.push(`Formulas that use worksheets not combined (${list(missing.formulas)}) — values kept`)
+    if (missing.hyperlinks.size > 0) dropped.push(`Links to worksheets not combined (${list(missing.hyperlinks)})`)
+    if (missing.validations.size > 0) dropped.push(`Data validation that uses worksheets not combined (${list(missing.validations)})`)
+
+    return { sheet: copy, dropped }
+  }
+
+  // Named ranges come along with their sheets. A name already taken by an earlier file, or pointing at a
+  // sheet that wasn't combined, is left out and noted.
+  copyDefinedNames(workbook, workbookAnalyses, renamers, notes) {
+    const names = []
+
+    workbookAnalyses.forEach((analysis, analysisIndex) => {
+      const sourceNames = analysis.workbook.Workbook?.Names || []
+      sourceNames.forEach(definedName => {
+        // SheetJS writes the autofilter name itself
+        if (definedName.Name === '_xlnm._FilterDatabase' || !definedName.Ref) return
+
+        let sheet
+        if (typeof definedName.Sheet === 'number') {
+          const tabName = renamers[analysisIndex](analysis.workbook.SheetNames[definedName.Sheet])
+          if (tabName === undefined) return
+          sheet = workbook.SheetNames.indexOf(tabName)
+        }
+
+        const { formula, missing } = renameFormulaSheets(definedName.Ref, renamers[analysisIndex])
+        const label = `Named range "${definedName.Name}" from ${analysis.file.name}`
+        if (missing.length > 0) {
+          notes.push({ label: `${label} — it uses worksheets not combined`, sheets: [] })
+          return
+        }
+        const taken = names.some(other => other.Name.toLowerCase() === definedName.Name.toLowerCase() && other.Sheet === sheet)
+        if (taken) {
+          notes.push({ label: `${label} — another file has a range with this name`, sheets: [] })
+          return
+        }
+
+        names.push(sheet === undefined
+          ? { ...definedName, Ref: formula }
+          : { ...definedName, Ref: formula, Sheet: sheet })
+      })
+    })
+
+    if (names.length > 0) {
+      workbook.Workbook = { ...workbook.Workbook, Names: names }
+    }
+  }
+
+  // Puts a table of contents first: one row per tab, its name linked to the tab's A1.
+  // Back links go in the first free column of each tab's top row.
+  addIndexSheet(workbook, tabs, options = {}) {
+    const { backLinks = false } = options
+    const indexName = uniqueSheetName(workbook, 'Index')
+
+    const indexSheet = XLSX.utils.aoa_to_sheet([
+      ['Tab', 'Source file', 'Original sheet', 'Rows', 'Columns'],
+      ...tabs.map(tab => [tab.tabName, tab.fileName, tab.sheetName, tab.rowCount, tab.columnCount])
+    ])
+    tabs.forEach((tab, row) => {
+      indexSheet[XLSX.utils.encode_cell({ r: row + 1, c: 0 })].l = {
+        Target: `#${quoteSheetName(tab.tabName)}!A1`,
+        Tooltip: `Go to ${tab.tabName}`
+      }
+    })
+    indexSheet['!cols'] = [{ wch: 32 }, { wch: 32 }, { wch: 32 }, { wch: 10 }, { wch: 10 }]
+
+    if (backLinks) {
+      tabs.forEach(tab => {
+        const sheet = workbook.Sheets[tab.tabName]
+        // Placed after the values, not after !ref, which formatting-only cells can stretch to XFD
+        const { range: used } = measureSheet(sheet)
+        const column = used ? Math.min(used.e.c + 2, MAX_COLUMN) : 0
+        const address = XLSX.utils.encode_cell({ r: 0, c: column })
+        if (!isEmptyCell(sheet[address])) return
+
+        sheet[address] = {
+          t: 's',
+          v: '← Back to index',
+          l: { Target: `#${quoteSheetName(indexName)}!A1`, Tooltip: 'Go to the Index tab' }
+        }
+        const range = sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null
+        sheet['!ref'] = XLSX.utils.encode_range({
+          s: { r: 0, c: range ? Math.min(range.s.c, column) : column },
+          e: { r: range ? range.e.r : 0, c: range ? Math.max(range.e.c, column) : column }
+        })
+      })
+    }
+
+    shiftLocalNames(workbook, 1)
+    workbook.SheetNames.unshift(indexName)
+    workbook.Sheets[indexName] = indexSheet
+    return indexName
+  }
+
+  // One entry per column of the used range; sheets without a header row get "Column A"-style names
+  getSheetHeaders(sheet) {
+    if (!sheet) return []
+    const { range, headerRow } = measureSheet(sheet)
+    if (!range) return []
+
+    const headers = []
+    const seen = {}
+
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = headerRow === null ? null : sheet[XLSX.utils.encode_cell({ r: headerRow, c })]
+      let name = cell ? XLSX.utils.format_cell(cell).trim() : ''
+      if (!name) {
+        name = `Column ${XLSX.utils.encode_col(c)}`
+      }
+
+      // Repeated headers within one sheet stay distinct columns
+      seen[name] = (seen[name] || 0) + 1
+      if (seen[name] > 1) {
+        name = `${name} (${seen[name]})`
+      }
+
+      headers.push({ name, column: c })
+    }
+
+    return headers
+  }
+
+  async appendAllSheets(workbookAnalyses, onProgress, options = {}) {
+    const {
+      addSourceColumns = false,
+      sheetName = 'Combined',
+      columnMapping = null,
+      dedupe = null,
+      signal
+    } = options
+    const alignment = compareHeaders(workbookAnalyses, columnMapping)
+    const lookup = columnMapping ? buildHeaderLookup(columnMapping) : null
+    const targetName = (header) => (lookup ? lookup.get(header) : header)
+    const outputColumns = addSourceColumns
+      ? [...alignment.columns, 'Source file', 'Source sheet']
+      : [...alignment.columns]
+    const columnIndex = new Map(outputColumns.map((name, index) => [name, index]))
+
+    const rows = []
+    const columnWidths = []
+    const totalSheets = workbookAnalyses.reduce((total, analysis) => total + analysis.worksheets.length, 0)
+    let processedSheets = 0
+
+    for (const analysis of workbookAnalyses) {
+      for (const worksheet of analysis.worksheets) {
+        const sheet = analysis.workbook.Sheets[worksheet.name]
+        const headers = this.getSheetHeaders(sheet)
+        const source = { fileName: analysis.file.name, sheetName: worksheet.name }
+        const reportProgress = (sheetFraction) => {
+          if (onProgress) {
+            onProgress(Math.round(((processedSheets + sheetFraction) / totalSheets) * 100), {
+              sheet: worksheet.name,
+              fileName: analysis.file.name
+            })
+          }
+        }
+
+        if (headers.length > 0) {
+          const { range, firstDataRow } = measureSheet(sheet)
+          const rowTotal = Math.max(range.e.r - firstDataRow + 1, 1)
+
+          headers.forEach(header => {
+            const width = sheet['!cols']?.[header.column]
+            const target = columnIndex.get(targetName(header.name))
+            if (width && target !== undefined && !columnWidths[target]) {
+              columnWidths[target] = { ...width }
+            }
+          })
+
+          // Only the first header row is kept; every data row is lined up by header name
+          for (let r = firstDataRow; r <= range.e.r; r++) {
+            if ((r - firstDataRow + 1) % ROWS_PER_TICK === 0) {
+              reportProgress((r - firstDataRow + 1) / rowTotal)
+              await nextTick(signal)
+            }
+
+            const cells = new Array(outputColumns.length)
+            let hasValue = false
+
+            headers.forEach(header => {
+              // Unmapped headers are dropped; when several merge into one column the first value wins
+              const target = columnIndex.get(targetName(header.name))
+              if (target === undefined || cells[target]) return
+
+              const cell = sheet[XLSX.utils.encode_cell({ r, c: header.column })]
+              if (!isEmptyCell(cell)) {
+                cells[target] = copyCellValue(cell)
+                hasValue = true
+              }
+            })
+
+            if (!hasValue) continue
+
+            if (addSourceColumns) {
+              cells[columnIndex.get('Source file')] = { t: 's', v: source.fileName }
+              cells[columnIndex.get('Source sheet')] = { t: 's', v: source.sheetName }
+            }
+            rows.push({ cells, source })
+          }
+        }
+
+        processedSheets++
+        reportProgress(0)
+        await nextTick(signal)
+      }
+    }
+
+    let keptRows = rows
+    let removedRows = []
+    let dedupeReport = null
+
+    if (dedupe) {
+      // Identity is the chosen key columns, or every data column (never the source columns)
+      const chosenIndexes = (dedupe.columns || [])
+        .filter(name => alignment.columns.includes(name))
+        .map(name => columnIndex.get(name))
+      const keyIndexes = chosenIndexes.length > 0
+        ? chosenIndexes
+        : alignment.columns.map((_, index) => index)
+      const result = this.dedupeRows(rows, keyIndexes, dedupe)
+      keptRows = result.kept
+      removedRows = result.removed
+      dedupeReport = {
+        removedCount: removedRows.length,
+        bySource: this.countRowsBySource(rows, removedRows)
+      }
+    }
+
+    const workbook = XLSX.utils.book_new()
+    XLSX.utils.book_append_sheet(workbook, this.buildTableSheet(outputColumns, keptRows, columnWidths), sheetName)
+
+    if (dedupe?.duplicatesSheet && removedRows.length > 0) {
+      // Removed rows always say where they came from
+      const duplicateColumns = addSourceColumns ? outputColumns : [...outputColumns, 'Source file', 'Source sheet']
+      const duplicateRows = removedRows.map(row => ({
+        cells: addSourceColumns
+          ? row.cells
+          : [...Array.from(row.cells), { t: 's', v: row.source.fileName }, { t: 's', v: row.source.sheetName }]
+      }))
+      XLSX.utils.book_append_sheet(workbook, this.buildTableSheet(duplicateColumns, duplicateRows, columnWidths), 'Duplicates')
+    }
+
+    return {
+      workbook,
+      report: {
+        ...alignment,
+        rowCount: keptRows.length,
+        dedupe: dedupeReport
+      }
+    }
+  }
+
+  buildTableSheet(columns, rows, columnWidths = []) {
+    const sheet = {}
+    columns.forEach((name, c) => {
+      sheet[XLSX.utils.encode_cell({ r: 0, c })] = { t: 's', v: name }
+    })
+    rows.forEach((row, index) => {
+      row.cells.forEach((cell, c) => {
+        if (cell) {
+          sheet[XLSX.utils.encode_cell({ r: index + 1, c })] = cell
+        }
+      })
+    })
+
+    sheet['!ref'] = XLSX.utils.encode_range({
+      s: { r: 0, c: 0 },
+      e: { r: rows.length, c: Math.max(columns.length - 1, 0) }
+    })
+    if (columnWidths.length > 0) {
+      sheet['!cols'] = Array.from(columnWidths, width => width || {})
+    }
+
+    return sheet
+  }
+
+  dedupeRows(rows, keyIndexes, options = {}) {
+    const { keep = 'first', ignoreCase = false, ignoreWhitespace = false } = options
+
+    const keyOf = (row) => keyIndexes.map(index => {
+      let text = row.cells[index] ? XLSX.utils.format_cell(row.cells[index]) : ''
+      if (ignoreWhitespace) text = text.replace(/\s+/g, ' ').trim()
+      if (ignoreCase) text = text.toLowerCase()
+      return text
+    }).join('\u0001')
+
+    const chosen = new Map()
+    rows.forEach((row, index) => {
+      const key = keyOf(row)
+      if (!chosen.has(key) || keep === 'last') {
+        chosen.set(key, index)
+      }
+    })
+
+    const keptIndexes = new Set(chosen.values())
+    return {
+      kept: rows.filter((_, index) => keptIndexes.has(index)),
+      removed: rows.filter((_, index) => !keptIndexes.has(index))
+    }
+  }
+
+  countRowsBySource(rows, removed) {
+    const counts = new Map()
+    const sourceKey = (source) => `${source.fileName}\u0001${source.sheetName}`
+
+    rows.forEach(({ source }) => {
+      const key = sourceKey(source)
+      if (!counts.has(key)) counts.set(key, { ...source, rowCount: 0, removed: 0 })
+      counts.get(key).rowCount++
+    })
+    removed.forEach(({ source }) => {
+      counts.get(sourceKey(source)).removed++
+    })
+
+    return [...counts.values()]
+  }
+
+  // A window of display text for the preview grid; rows are counted from the first data row.
+  // Row numbers in the result are the sheet's own, 1-based.
+  previewSheetRows(sheet, start = 0, count = 200, maxColumns = Infinity) {
+    const headers = this.getSheetHeaders(sheet).slice(0, maxColumns)
+    if (headers.length === 0) return { headers: [], rows: [], totalRows: 0, headerRow: null, firstRow: 1 }
+
+    const { range, headerRow, firstDataRow } = measureSheet(sheet)
+    const totalRows = range.e.r - firstDataRow + 1
+    const end = Math.min(start + count, totalRows)
+    const rows = []
+    for (let i = start; i < end; i++) {
+      const r = firstDataRow + i
+      rows.push(headers.map(header => {
+        const cell = sheet[XLSX.utils.encode_cell({ r, c: header.column })]
+        return isEmptyCell(cell) ? '' : XLSX.utils.format_cell(cell)
+      }))
+    }
+
+    return {
+      headers: headers.map(header => header.name),
+      rows,
+      totalRows,
+      headerRow: headerRow === null ? null : headerRow + 1,
+      firstRow: firstDataRow + 1
+    }
+  }
+
+  readSheetRows(sheet) {
+    const headers = this.getSheetHeaders(sheet)
+    if (headers.length === 0) return { headers, rows: [] }
+
+    const { range, firstDataRow } = measureSheet(sheet)
+    const rows = []
+    for (let r = firstDataRow; r <= range.e.r; r++) {
+      const cells = headers.map(header => sheet[XLSX.utils.encode_cell({ r, c: header.column })])
+      if (cells.some(cell => !isEmptyCell(cell))) {
+        rows.push(cells)
+      }
+    }
+
+    return { headers, rows }
+  }
+
+  // The sheet as a filter leaves it: a header row, the kept columns and the matching rows.
+  // Like a split, the rows move, so formulas keep only their values.
+  filterSheet(sheet, filter) {
+    const { headers, rows } = this.readSheetRows(sheet)
+    const matches = createRowMatcher(filter.conditions, headers.map(header => header.name), readFilterCell)
+    const kept = headers
+      .map((header, index) => ({ ...header, index }))
+      .filter(header => !filter.columns || filter.columns.includes(header.name))
+
+    return this.buildTableSheet(
+      kept.map(header => header.name),
+      rows.filter(matches).map(cells => ({
+        cells: kept.map(({ index }) => (cells[index] ? copyCellValue(cells[index]) : cells[index]))
+      })),
+      kept.map(header => (sheet['!cols'] || [])[header.column])
+    )
+  }
+
+  countFilteredRows(sheet, filter) {
+    const { headers, rows } = this.readSheetRows(sheet)
+    const matches = createRowMatcher(filter.conditions, headers.map(header => header.name), readFilterCell)
+    return { totalRows: rows.length, keptRows: rows.filter(matches).length }
+  }
+
+  // A view of the workbook with its filtered sheets swapped in; the loaded workbook isn't changed.
+  // filters holds a filter per sheetNameKey(fileId, sheetName); only the sheets named are filtered.
+  applyFilters(workbook, fileId, filters = {}, sheetNames = workbook.SheetNames) {
+    const filtered = sheetNames
+      .filter(name => workbook.Sheets[name])
+      .filter(name => isFilterActive(filters[sheetNameKey(fileId, name)]))
+      .map(name => [name, this.filterSheet(workbook.Sheets[name], filters[sheetNameKey(fileId, name)])])
+
+    if (filtered.length === 0) return workbook
+    return { ...workbook, Sheets: { ...workbook.Sheets, ...Object.fromEntries(filtered) } }
+  }
+
+  async joinSheets(left, right, options = {}, onProgress) {
+    const {
+      keys = [],
+      type = 'left', // inner, left, full
+      workbook = XLSX.utils.book_new(),
+      sheetName = 'Joined',
+      signal
+    } = options
+
+    if (keys.length === 0) {
+      throw new Error('Choose at least one key column to join on')
+    }
+
+    const leftData = this.readSheetRows(left.workbook.Sheets[left.sheetName])
+    const rightData = this.readSheetRows(right.workbook.Sheets[right.sheetName])
+    const leftNames = leftData.headers.map(h => h.name)
+    const rightNames = rightData.headers.map(h => h.name)
+
+    const leftKeyIndexes = keys.map(key => leftNames.indexOf(key.left))
+    const rightKeyIndexes = keys.map(key => rightNames.indexOf(key.right))
+    if (leftKeyIndexes.includes(-1) || rightKeyIndexes.includes(-1)) {
+      throw new Error('A key column is missing from one of the joined sheets')
+    }
+
+    await nextTick(signal)
+
+    const keyOf = (cells, indexes) => {
+      const parts = indexes.map(index => (cells[index] ? XLSX.utils.format_cell(cells[index]).trim() : ''))
+      return parts.every(part => part === '') ? null : parts.join('\u0001')
+    }
+    const displayKey = (key) => key.split('\u0001').join(' / ')
+
+    // Index the right sheet by key
+    const rightIndex = new Map()
+    rightData.rows.forEach((cells, rowIndex) => {
+      const key = keyOf(cells, rightKeyIndexes)
+      if (key === null) return
+      if (!rightIndex.has(key)) rightIndex.set(key, [])
+      rightIndex.get(key).push(rowIndex)
+    })
+
+    // Right-hand columns follow the left ones; its key columns are already there
+    const rightColumns = rightData.headers
+      .map((header, index) => ({ name: header.name, index }))
+      .filter(column => !rightKeyIndexes.includes(column.index))
+      .map(column => ({
+        ...column,
+        outputName: leftNames.includes(column.name) ? `${column.name} (${right.label || right.sheetName})` : column.name
+      }))
+    const outputNames = [...leftNames, ...rightColumns.map(column => column.outputName)]
+
+    const joinedSheet = {}
+    outputNames.forEach((name, c) => {
+      joinedSheet[XLSX.utils.encode_cell({ r: 0, c })] = { t: 's', v: name }
+    })
+
+    let outputRow = 1
+    const writeRow = (leftCells, rightCells) => {
+      leftNames.forEach((_, c) => {
+        const cell = leftCells ? leftCells[c] : null
+        if (!isEmptyCell(cell)) {
+          joinedSheet[XLSX.utils.encode_cell({ r: outputRow, c })] = copyCellValue(cell)
+        }
+      })
+      if (!leftCells && rightCells) {
+        // Right-only rows still show their key in the left key columns
+        leftKeyIndexes.forEach((leftIndex, k) => {
+          const cell = rightCells[rightKeyIndexes[k]]
+          if (!isEmptyCell(cell)) {
+            joinedSheet[XLSX.utils.encode_cell({ r: outputRow, c: leftIndex })] = copyCellValue(cell)
+          }
+        })
+      }
+      rightColumns.forEach((column, i) => {
+        const cell = rightCells ? rightCells[column.index] : null
+        if (!isEmptyCell(cell)) {
+          joinedSheet[XLSX.utils.encode_cell({ r: outputRow, c: leftNames.length + i })] = copyCellValue(cell)
+        }
+      })
+      outputRow++
+    }
+
+    const countKey = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1)
+    const toKeyList = (counts) => [...counts].map(([key, count]) => ({ key, count }))
+
+    const leftKeyCounts = new Map()
+    const matchedRightRows = new Set()
+    const unmatchedLeft = new Map()
+    let matchedRows = 0
+
+    for (let rowIndex = 0; rowIndex < leftData.rows.length; rowIndex++) {
+      const cells = leftData.rows[rowIndex]
+      const key = keyOf(cells, leftKeyIndexes)
+      if (key !== null) {
+        countKey(leftKeyCounts, key)
+      }
+      const matches = key !== null ? rightIndex.get(key) || [] : []
+
+      if (matches.length > 0) {
+        matches.forEach(match => {
+          matchedRightRows.add(match)
+          writeRow(cells, rightData.rows[match])
+        })
+        matchedRows++
+      } else {
+        countKey(unmatchedLeft, key === null ? '(blank key)' : displayKey(key))
+        if (type !== 'inner') {
+          writeRow(cells, null)
+        }
+      }
+
+      if (rowIndex % ROWS_PER_TICK === 0) {
+        if (onProgress) {
+          onProgress(Math.round((rowIndex / Math.max(leftData.rows.length, 1)) * 90), { sheet: left.sheetName })
+        }
+        await nextTick(signal)
+      }
+    }
+
+    const unmatchedRight = new Map()
+    rightData.rows.forEach((cells, rowIndex) => {
+      if (matchedRightRows.has(rowIndex)) return
+      const key = keyOf(cells, rightKeyIndexes)
+      countKey(unmatchedRight, key === null ? '(blank key)' : displayKey(key))
+      if (type === 'full') {
+        writeRow(null, cells)
+      }
+    })
+
+    joinedSheet['!ref'] = XLSX.utils.encode_range({
+      s: { r: 0, c: 0 },
+      e: { r: outputRow - 1, c: Math.max(outputNames.length - 1, 0) }
+    })
+
+    const report = {
+      type,
+      rowCount: outputRow - 1,
+      matchedRows,
+      unmatchedLeft: toKeyList(unmatchedLeft),
+      unmatchedRight: toKeyList(unmatchedRight),
+      duplicateLeft: toKeyList(leftKeyCounts).filter(({ count }) => count > 1).map(({ key, count }) => ({ key: displayKey(key), count })),
+      duplicateRight: [...rightIndex].filter(([, rows]) => rows.length > 1).map(([key, rows]) => ({ key: displayKey(key), count: rows.length }))
+    }
+
+    // Joined sheet goes first, its report straight after
+    const reportRows = [
+      ['Issue', 'Sheet', 'Key', 'Occurrences'],
+      ...report.unmatchedLeft.map(({ key, count }) => ['No match', left.label || left.sheetName, key, count]),
+      ...report.unmatchedRight.map(({ key, count }) => ['No match', right.label || right.sheetName, key, count]),
+      ...report.duplicateLeft.map(({ key, count }) => ['Duplicate key', left.label || left.sheetName, key, count]),
+      ...report.duplicateRight.map(({ key, count }) => ['Duplicate key', right.label || right.sheetName, key, count])
+    ]
+    const joinedName = uniqueSheetName(workbook, sheetName)
+    shiftLocalNames(workbook, 2)
+    workbook.SheetNames.unshift(joinedName)
+    workbook.Sheets[joinedName] = joinedSheet
+    const reportName = uniqueSheetName(workbook, `${sheetName} Report`)
+    workbook.SheetNames.splice(1, 0, reportName)
+    workbook.Sheets[reportName] = XLSX.utils.aoa_to_sheet(reportRows)
+    // The tab is renamed when its name is taken, so the page is told what it ended up as
+    report.reportSheet = reportName
+
+    if (onProgress) {
+      onProgress(100, { sheet: left.sheetName })
+    }
+
+    return { workbook, report }
+  }
+
+  async generateCombinedExcel(combinedWorkbook, baseFileName, format = 'xlsx', options = {}) {
+    const { macroSource = null, protection = null, onProgress, signal } = options
+
+    const outputFormat = OUTPUT_FORMATS[format]
+    if (!outputFormat) {
+      throw new Error(`Unsupported output format: ${format}`)
+    }
+
+    const sheetCount = combinedWorkbook.SheetNames.length
+    const reportSheet = (index) => {
+      if (onProgress) {
+        // Converting sheets is the first half, packing them into the file the second
+        onProgress(Math.round(((index + 1) / sheetCount) * 50), { sheet: combinedWorkbook.SheetNames[index] })
+      }
+    }
+
+    let blob
+    let macrosKept = false
+
+    if (format === 'csv') {
+      // One CSV per sheet, packed into a ZIP
+      const zip = new JSZip()
+      for (let i = 0; i < sheetCount; i++) {
+        const sheetName = combinedWorkbook.SheetNames[i]
+        // Tab names that differ only in characters a file name can't hold get numbered files
+        addUniqueFile(zip, this.formatOutputName('{sheet}', { sheet: sheetName }), 'csv',
+          XLSX.utils.sheet_to_csv(combinedWorkbook.Sheets[sheetName], { blankrows: true }))
+        reportSheet(i)
+        await nextTick(signal)
+      }
+      blob = await zip.generateAsync({ type: 'blob' }, (metadata) => {
+        if (onProgress) {
+          onProgress(50 + Math.round(metadata.percent / 2), { sheet: metadata.currentFile || '' })
+        }
+      })
+    } else if (format === 'json') {
+      // One document keyed by sheet name, each sheet an array of row objects keyed by header
+      const jsonDocument = {}
+      for (let i = 0; i < sheetCount; i++) {
+        const sheetName = combinedWorkbook.SheetNames[i]
+        jsonDocument[sheetName] = XLSX.utils.sheet_to_json(combinedWorkbook.Sheets[sheetName], { defval: null })
+        reportSheet(i)
+        await nextTick(signal)
+      }
+      blob = new Blob([JSON.stringify(jsonDocument, null, 2)], { type: outputFormat.mimeType })
+    } else {
+      // Only one VBA project fits in a workbook, so macros come from a single source
+      if (outputFormat.macros && macroSource?.vbaraw) {
+        combinedWorkbook.vbaraw = macroSource.vbaraw
+        const codeName = macroSource.Workbook?.WBProps?.CodeName
+        if (codeName) {
+          combinedWorkbook.Workbook = {
+            ...combinedWorkbook.Workbook,
+            WBProps: { ...combinedWorkbook.Workbook?.WBProps, CodeName: codeName }
+          }
+        }
+        macrosKept = true
+      }
+
+      const { password = '', lockStructure = false, lockSheets = false, protectionPassword = '' } =
+        (outputFormat.protection && protection) || {}
+
+      // SheetJS writes the whole file in one call, so there is nothing to report in between.
+      // Sheet locks are set only for the write, so writing again with other settings starts clean.
+      const previousLocks = combinedWorkbook.SheetNames.map(name => combinedWorkbook.Sheets[name]['!protect'])
+      if (lockSheets) {
+        combinedWorkbook.SheetNames.forEach(name => {
+          combinedWorkbook.Sheets[name]['!protect'] = protectionPassword ? { password: protectionPassword } : {}
+        })
+      }
+      let buffer
+      try {
+        buffer = new Uint8Array(XLSX.write(combinedWorkbook, {
+          bookType: format,
+          type: 'array'
+        }))
+      } finally {
+        combinedWorkbook.SheetNames.forEach((name, index) => {
+          if (previousLocks[index]) {
+            combinedWorkbook.Sheets[name]['!protect'] = previousLocks[index]
+          } else {
+            delete combinedWorkbook.Sheets[name]['!protect']
+          }
+        })
+      }
+
+      const sheetValidations = combinedWorkbook.SheetNames.map(name => combinedWorkbook.Sheets[name]['!validations'])
+      if (outputFormat.validations && sheetValidations.some(rules => rules && rules.length > 0)) {
+        signal?.throwIfAborted()
+        buffer = await writeDataValidations(buffer, sheetValidations)
+      }
+      if (lockStructure) {
+        buffer = await this.lockWorkbookStructure(buffer, protectionPassword)
+      }
+      if (password) {
+        signal?.throwIfAborted()
+        buffer = await encryptPackage(buffer, password)
+      }
+      blob = new Blob([buffer], { type: outputFormat.mimeType })
+    }
+
+    signal?.throwIfAborted()
+    if (onProgress) {
+      onProgress(100, {})
+    }
+
+    const fileName = `${baseFileName}_combined${outputFormat.suffix}`
+
+    return {
+      blob,
+      fileName,
+      format,
+      size: blob.size,
+      sheetCount,
+      macrosKept,
+      fidelity: this.buildFidelityReport(combinedWorkbook, format)
+    }
+  }
+
+  // What the written file is missing compared with its sources: [{ label, sheets }], empty when nothing
+  buildFidelityReport(workbook, format) {
+    const kept = new Set(KEPT_FEATURES[format])
+    const lostOn = {}
+
+    workbook.SheetNames.forEach(name => {
+      sheetFeatures(workbook.Sheets[name]).forEach(feature => {
+        if (kept.has(feature)) return
+        lostOn[feature] = [...(lostOn[feature] || []), name]
+      })
+    })
+
+    return [
+      ...Object.keys(FIDELITY_FEATURES)
+        .filter(feature => lostOn[feature])
+        .map(feature => ({ label: FIDELITY_FEATURES[feature], sheets: lostOn[feature] })),
+      ...(combineNotes.get(workbook) || [])
+    ]
+  }
+
+  // SheetJS doesn't write workbook protection, so it is added to workbook.xml afterwards
+  async lockWorkbookStructure(buffer, protectionPassword = '') {
+    const zip = await JSZip.loadAsync(buffer)
+    const workbookXml = await zip.file('xl/workbook.xml').async('string')
+    const passwordAttribute = protectionPassword ? ` workbookPassword="${legacyPasswordHash(protectionPassword)}"` : ''
+    const lock = `<workbookProtection${passwordAttribute} lockStructure="1"/>`
+
+    // workbookProtection belongs right after workbookPr, or before bookViews/sheets without one
+    const lockedXml = /<workbookPr[^>]*\/>/.test(workbookXml)
+      ? workbookXml.replace(/<workbookPr[^>]*\/>/, (match) => match + lock)
+      : workbookXml.replace(/<(bookViews|sheets)>/, (match) => lock + match)
+
+    zip.file('xl/workbook.xml', lockedXml)
+    return zip.generateAsync({ type: 'uint8array', compression: 'DEFLATE' })
+  }
+
+  async processWorksheets(workbook, selectedWorksheets, onProgress, options = {}) {
+    const {
+      format = 'pdf',
+      namePattern = '{sheet}',
+      sourceFileName = '',
+      pdfOptions = {},
+      zip = new JSZip(),
+      folderName = '',
+      signal
+    } = options
+
+    const outputFormat = SPLIT_FORMATS[format]
+    if (!outputFormat) {
+      throw new Error(`Unsupported split format: ${format}`)
+    }
+
+    // Several workbooks can share one archive; each then gets its own folder
+    const target = folderName ? zip.folder(folderName) : zip
+    const totalSheets = selectedWorksheets.length
+
+    for (let i = 0; i < selectedWorksheets.length; i++) {
+      const worksheet = selectedWorksheets[i]
+      const sheet = workbook.Sheets[worksheet.name]
+
+      if (onProgress) {
+        onProgress(Math.round((i / totalSheets) * 100), { sheet: worksheet.name, fileName: sourceFileName })
+      }
+
+      let content
+      if (format === 'pdf') {
+        content = this.createWorksheetPdf(sheet, worksheet.name, pdfOptions)
+      } else if (format === 'xlsx') {
+        content = this.createWorksheetWorkbook(workbook, worksheet.name)
+      } else {
+        content = XLSX.utils.sheet_to_csv(sheet, { FS: outputFormat.separator, blankrows: true })
+      }
+
+      // Add to zip with clean, unique filename
+      const baseName = this.formatOutputName(namePattern, {
+        file: sourceFileName.replace(/\.[^/.]+$/, ''),
+        sheet: worksheet.name,
+        index: worksheet.index + 1
+      })
+      addUniqueFile(target, baseName, outputFormat.extension, content)
+
+      // Update progress
+      const progress = Math.round(((i + 1) / totalSheets) * 100)
+      if (onProgress) {
+        onProgress(progress, { sheet: worksheet.name, fileName: sourceFileName })
+      }
+
+      await nextTick(signal)
+    }
+
+    return zip
+  }
+
+  // Data rows grouped by the text of one column, in the order each value first appears; blank values group together
+  groupRowsByColumn(sheet, columnName) {
+    const { headers, rows } = this.readSheetRows(sheet)
+    const keyIndex = headers.findIndex(header => header.name === columnName)
+    if (keyIndex === -1) {
+      throw new Error(`Column "${columnName}" was not found`)
+    }
+
+    const groups = new Map()
+    rows.forEach(cells => {
+      const value = cells[keyIndex] ? XLSX.utils.format_cell(cells[keyIndex]).trim() : ''
+      if (!groups.has(value)) {
+        groups.set(value, [])
+      }
+      groups.get(value).push(cells)
+    })
+
+    return { headers, groups }
+  }
+
+  previewColumnGroups(sheet, columnName) {
+    const { groups } = this.groupRowsByColumn(sheet, columnName)
+    return [...groups].map(([value, rows]) => ({ value, rowCount: rows.length }))
+  }
+
+  // One output per distinct value of a column, each with the header row and that value's rows.
+  // Formulas keep only their values, since the rows no longer sit where the formulas point.
+  async splitSheetByColumn(workbook, sheetName, columnName, onProgress, options = {}) {
+    const {
+      format = 'xlsx',
+      namePattern = '{value}',
+      sourceFileName = '',
+      pdfOptions = {},
+      zip = new JSZip(),
+      signal
+    } = options
+
+    const outputFormat = SPLIT_FORMATS[format]
+    if (!outputFormat) {
+      throw new Error(`Unsupported split format: ${format}`)
+    }
+    const sheet = workbook.Sheets[sheetName]
+    if (!sheet) {
+      throw new Error(`Worksheet "${sheetName}" was not found`)
+    }
+
+    const { headers, groups } = this.groupRowsByColumn(sheet, columnName)
+    const columnWidths = headers.map(header => (sheet['!cols'] || [])[header.column])
+    const totalGroups = groups.size
+    let groupIndex = 0
+
+    for (const [value, rows] of groups) {
+      const label = value || '(blank)'
+      if (onProgress) {
+        onProgress(Math.round((groupIndex / totalGroups) * 100), { sheet: label, fileName: sourceFileName })
+      }
+
+      const groupSheet = this.buildTableSheet(
+        headers.map(header => header.name),
+        rows.map(cells => ({ cells: cells.map(cell => (cell ? copyCellValue(cell) : cell)) })),
+        columnWidths
+      )
+
+      const content = this.renderSplitFile(groupSheet, sheetName, format, {
+        title: `${sheetName} — ${label}`,
+        pdfOptions,
+        workbook
+      })
+
+      groupIndex++
+      const baseName = this.formatOutputName(namePattern, {
+        value: value || 'blank',
+        file: sourceFileName.replace(/\.[^/.]+$/, ''),
+        sheet: sheetName,
+        column: columnName,
+        index: groupIndex
+      })
+      addUniqueFile(zip, baseName, outputFormat.extension, content)
+
+      if (onProgress) {
+        onProgress(Math.round((groupIndex / totalGroups) * 100), { sheet: label, fileName: sourceFileName })
+      }
+      await nextTick(signal)
+    }
+
+    return zip
+  }
+
+  // Parts of one sheet, each repeating the header row: a fixed number of data rows, or as many as fit
+  // under maxBytes. Files are numbered Sales_part001, Sales_part002, … after the name pattern.
+  async splitSheetIntoParts(workbook, sheetName, onProgress, options = {}) {
+    const {
+      by = 'rows', // rows, size
+      rowsPerPart = 10000,
+      maxBytes = 5 * 1024 * 1024,
+      format = 'csv',
+      namePattern = '{sheet}',
+      sourceFileName = '',
+      pdfOptions = {},
+      zip = new JSZip(),
+      signal
+    } = options
+
+    const outputFormat = SPLIT_FORMATS[format]
+    if (!outputFormat) {
+      throw new Error(`Unsupported split format: ${format}`)
+    }
+    const sheet = workbook.Sheets[sheetName]
+    if (!sheet) {
+      throw new Error(`Worksheet "${sheetName}" was not found`)
+    }
+
+    const { headers, rows } = this.readSheetRows(sheet)
+    const columns = headers.map(header => header.name)
+    const columnWidths = headers.map(header => (sheet['!cols'] || [])[header.column])
+    const baseName = this.formatOutputName(namePattern, {
+      file: sourceFileName.replace(/\.[^/.]+$/, ''),
+      sheet: sheetName,
+      index: workbook.SheetNames.indexOf(sheetName) + 1
+    })
+
+    const renderPart = (start, count, partNumber) => this.renderSplitFile(
+      this.buildTableSheet(
+        columns,
+        rows.slice(start, start + count).map(cells => ({ cells: cells.map(cell => (cell ? copyCellValue(cell) : cell)) })),
+        columnWidths
+      ),
+      sheetName,
+      format,
+      { title: `${sheetName} — part ${partNumber}`, pdfOptions, workbook }
+    )
+
+    // A size limit can only be checked on the written file. The first guess comes from a small
+    // rendered sample scaled up to maxBytes; each written part then sets the guess for the next, so
+    // it grows again after a part of wide rows. A part that comes out too big is written again with
+    // proportionally fewer rows.
+    const fitRows = (count, size) => Math.max(1, Math.floor(count * (maxBytes / Math.max(size, 1)) * 0.95))
+    let guess = Math.max(1, Math.floor(rowsPerPart))
+    if (by === 'size') {
+      const sampleCount = Math.max(1, Math.min(SIZE_SAMPLE_ROWS, rows.length))
+      guess = fitRows(sampleCount, contentSize(renderPart(0, sampleCount, 1)))
+      await nextTick(signal)
+    }
+
+    let start = 0
+    let partNumber = 1
+
+    do {
+      let count = Math.max(1, Math.min(guess, rows.length - start))
+      let content = renderPart(start, count, partNumber)
+
+      if (by === 'size') {
+        let size = contentSize(content)
+        while (size > maxBytes) {
+          if (count === 1) {
+            throw new Error(`Row ${start + 1} of "${sheetName}" alone is bigger than the ${formatFileSize(maxBytes)} limit`)
+          }
+          count = Math.min(count - 1, fitRows(count, size))
+          content = renderPart(start, count, partNumber)
+          size = contentSize(content)
+          await nextTick(signal)
+        }
+        // Only a part well under the limit raises the guess; one close to it is kept as is
+        guess = size < maxBytes * 0.8 ? fitRows(count, size) : count
+      }
+
+      zip.file(`${baseName}_part${String(partNumber).padStart(3, '0')}.${outputFormat.extension}`, content)
+      start += count
+      partNumber++
+
+      if (onProgress) {
+        onProgress(Math.round((Math.min(start, rows.length) / Math.max(rows.length, 1)) * 100), {
+          sheet: `${sheetName} part ${partNumber - 1}`,
+          fileName: sourceFileName
+        })
+      }
+      await nextTick(signal)
+    } while (start < rows.length)
+
+    return zip
+  }
+
+  // One split output file for a sheet built in memory; xlsx keeps the source's workbook properties
+  renderSplitFile(sheet, sheetName, format, options = {}) {
+    const { title = sheetName, pdfOptions = {}, workbook } = options
+
+    if (format === 'pdf') {
+      return this.createWorksheetPdf(sheet, title, pdfOptions)
+    }
+    if (format === 'xlsx') {
+      return this.createWorksheetWorkbook({
+        SheetNames: [sheetName],
+        Sheets: { [sheetName]: sheet },
+        Workbook: workbook?.Workbook
+      }, sheetName)
+    }
+    return XLSX.utils.sheet_to_csv(sheet, { FS: SPLIT_FORMATS[format].separator, blankrows: true })
+  }
+
+  formatOutputName(pattern, tokens) {
+    const name = pattern.replace(/\{(\w+)\}/g, (match, token) => (
+      tokens[token] !== undefined ? String(tokens[token]) : match
+    ))
+
+    return name.replace(/[\/\\:*?"<>|]/g, '_').trim() || 'sheet'
+  }
+
+  createWorksheetWorkbook(workbook, sheetName) {
+    // Standalone workbook holding only this sheet; cell formats, merges and widths travel with the sheet object.
+    // Formulas and links into the workbook's other sheets would be #REF! on their own, so they keep only their value.
+    const { sheet } = this.copySheet(workbook.Sheets[sheetName], createSheetRenamer([[sheetName, sheetName]]))
+    const singleWorkbook = XLSX.utils.book_new()
+    XLSX.utils.book_append_sheet(singleWorkbook, sheet, sheetName)
+
+    if (workbook.Workbook?.WBProps) {
+      singleWorkbook.Workbook = { WBProps: { ...workbook.Workbook.WBProps } }
+    }
+
+    return XLSX.write(singleWorkbook, { bookType: 'xlsx', type: 'array' })
+  }
+
+  createWorksheetPdf(sheet, sheetName, pdfOptions) {
+    return renderWorksheetPdf(sheet, sheetName, pdfOptions).output('arraybuffer')
+  }
+
+  async generateDownload(zip, originalFileName, format = 'pdf', options = {}) {
+    const { onProgress, signal } = options
+
+    const zipBlob = await zip.generateAsync({ type: 'blob' }, (metadata) => {
+      if (onProgress) {
+        onProgress(Math.round(metadata.percent), { sheet: metadata.currentFile || '' })
+      }
+    })
+    signal?.throwIfAborted()
+
+    const baseName = originalFileName.replace(/\.[^/.]+$/, '')
+    const zipFileName = `${baseName}_split_${SPLIT_FORMATS[format].archiveLabel}.zip`
+
+    return {
+      blob: zipBlob,
+      fileName: zipFileName,
+      size: zipBlob.size,
+      fileCount: Object.values(zip.files).filter(entry => !entry.dir).length
+    }
+  }
+}
+
+export default new WorkbookEngine()
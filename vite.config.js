@@ -8,6 +8,7 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 export default defineConfig({
   plugins: [react()],
   build: { target: 'esnext', },
+  worker: { format: 'es' },
   resolve: { alias: { "@": path.resolve(__dirname, "src") }},
   server: { allowedHosts: true, host: true, strictPort: true, port: 5173 }
 });
\ No newline at end of file